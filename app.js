@@ -1,5 +1,6 @@
 'use strict';
 
+const cluster = require('cluster');
 const http = require('http');
 const BBPromise = require('bluebird');
 const express = require('express');
@@ -233,11 +234,85 @@ function createServer(app) {
 			socket.setNoDelay(true);
 		});
 
+		// --- BEGIN EventGate modification ---
+		addGracefulShutdown(app, server);
+		// --- END EventGate modification ---
+
 		return server;
 	});
 
 }
 
+// --- BEGIN EventGate modification ---
+/**
+ * Makes server.close() shut the service down gracefully: new connections
+ * are refused, in-flight events are drained and the EventGate and its sinks are closed,
+ * and then the server waits for open requests to finish.  All of this takes at most
+ * app.conf.shutdown_timeout_ms: the EventGate's sinks are given the time that is left
+ * after draining to flush, and the server only waits for open requests for the time
+ * that is left after that.  Remaining connections are then destroyed.
+ * service-runner calls server.close() when a worker is stopped.  If there is no
+ * service-runner master (num_workers: 0), this is also done on SIGTERM.
+ *
+ * @param {Application} app
+ * @param {http.Server} server with http-shutdown's shutdown() and forceShutdown().
+ */
+function addGracefulShutdown(app, server) {
+	const timeoutMs = app.conf.shutdown_timeout_ms === undefined ?
+		10000 : app.conf.shutdown_timeout_ms;
+	const httpClose = server.close;
+	let shuttingDown = false;
+
+	const onSigterm = () => {
+		app.logger.log('info', `Worker ${process.pid} received SIGTERM, shutting down`);
+		server.close(() => process.exit(0)); // eslint-disable-line no-process-exit
+	};
+	if (!cluster.isWorker) {
+		process.once('SIGTERM', onSigterm);
+	}
+
+	server.close = function (cb) {
+		if (shuttingDown) {
+			// http-shutdown calls close() itself once all connections have ended.
+			return httpClose.call(server, cb);
+		}
+		shuttingDown = true;
+		process.removeListener('SIGTERM', onSigterm);
+		const deadline = Date.now() + timeoutMs;
+		app.logger.log('info', `Worker ${process.pid} shutting down`);
+
+		// Stop accepting connections, and close idle ones.
+		const serverClosed = new BBPromise((resolve) => server.shutdown(resolve));
+		// Sinks may not respect the timeout they are given, don't wait for them longer.
+		const eventGateClosed = BBPromise.resolve(
+			app.eventGate ? app.eventGate.close({ timeoutMs }) : 0
+		);
+		return (timeoutMs > 0 ? eventGateClosed.timeout(timeoutMs) : eventGateClosed)
+			.then((abandoned) => {
+				app.logger.log(abandoned > 0 ? 'error' : 'info',
+					`Worker ${process.pid} closed EventGate, ${abandoned} events were abandoned`);
+			})
+			.catch(BBPromise.TimeoutError, () => {
+				app.logger.log('error',
+					`Worker ${process.pid} did not close EventGate within ${timeoutMs} ms`);
+			})
+			.then(() => {
+				return serverClosed.timeout(Math.max(0, deadline - Date.now()))
+					.catch(BBPromise.TimeoutError, () => {
+						app.logger.log('warn',
+							`Worker ${process.pid} forcing shutdown of open connections`);
+						return new BBPromise((resolve) => server.forceShutdown(resolve));
+					});
+			})
+			.then(() => {
+				if (cb) {
+					cb();
+				}
+			});
+	};
+}
+// --- END EventGate modification ---
+
 /**
  * The service's entry point. It takes over the configuration
  * options and the logger- and metrics-reporting objects from
@@ -14,6 +14,9 @@ module.exports = {
     EventGate,
     EventStatus,
     EventValidator: require('./lib/EventValidator'),
+    StreamConfigs: require('./lib/StreamConfigs'),
+    RetryPolicy: require('./lib/RetryPolicy'),
+    CircuitBreaker: require('./lib/CircuitBreaker'),
     error: require('./lib/error'),
     util: require('./lib/event-util'),
 };
@@ -0,0 +1,283 @@
+'use strict';
+
+const _ = require('lodash');
+
+const {
+    withTimeout
+} = require('./event-util');
+
+const {
+    ValidationError,
+    CircuitOpenError,
+    EventTimeoutError
+} = require('./error');
+
+/**
+ * Possible CircuitBreaker states.
+ */
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+const defaultOptions = {
+    // Name used in errors and logs.
+    name: 'circuit',
+    // The circuit opens if at least this fraction (0 to 1) of calls in a window fail...
+    failureRatio: 0.5,
+    // ...and at least this many calls were made in the window.
+    minCalls: 10,
+    // Calls are counted in windows of this many milliseconds.
+    windowMs: 10000,
+    // Milliseconds the circuit stays open before half-open trial calls are let through.
+    openMs: 30000,
+    // Number of half-open trial calls that must succeed to close the circuit.
+    halfOpenTrials: 1,
+    // If set, calls that take longer than this many milliseconds fail with an
+    // EventTimeoutError, which counts as a failure.
+    callTimeout: undefined,
+    // By default, everything except ValidationErrors count as failures.
+    isFailure: (err) => !(err instanceof ValidationError),
+    // If set, calls are passed to this function instead of failing while the circuit is open.
+    fallback: undefined,
+    // Called whenever the state changes.
+    onStateChange: undefined
+};
+
+/**
+ * A CircuitBreaker wraps a function, e.g. an EventGate produce function, and keeps track
+ * of its failures.  Once at least failureRatio of the calls in a window have failed,
+ * the circuit opens, and calls fail fast with a CircuitOpenError (or are passed
+ * to fallback) instead of waiting on a function that is likely to fail anyway.
+ * After openMs, the circuit is half-open, and up to halfOpenTrials calls are let
+ * through at once.  If halfOpenTrials of them succeed the circuit closes again,
+ * and if any of them fails it opens again.
+ * If callTimeout is set, calls that don't complete in time fail and count as failures,
+ * so that a function that hangs rather than failing opens the circuit too.
+ */
+class CircuitBreaker {
+
+    /**
+     * @name CircuitBreaker~isFailure
+     * @method
+     * @param {Error} err
+     * @return {boolean}
+     */
+
+    /**
+     * @name CircuitBreaker~onStateChange
+     * @method
+     * @param {string} state the new state.
+     * @param {string} previousState
+     */
+
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {string} options.name Used in errors and logs. Default: circuit
+     * @param {number} options.failureRatio
+     *      Fraction (0 to 1) of failed calls in a window that opens the circuit. Default: 0.5
+     * @param {number} options.minCalls
+     *      Minimum number of calls in a window before the circuit can open. Default: 10
+     * @param {number} options.windowMs Length of the windows calls are counted in. Default: 10000
+     * @param {number} options.openMs
+     *      Time the circuit stays open before trial calls are let through. Default: 30000
+     * @param {number} options.halfOpenTrials
+     *      Number of trial calls that must succeed to close the circuit. Default: 1
+     * @param {number} options.callTimeout
+     *      If set, calls fail with an EventTimeoutError after this many milliseconds.
+     *      Default: calls never time out.
+     * @param {CircuitBreaker~isFailure} options.isFailure
+     *      Decides if an Error counts as a failure.  Default: all but ValidationErrors.
+     * @param {Function} options.fallback
+     *      If given, this is called with the same arguments instead of the wrapped function
+     *      while the circuit is open.
+     * @param {CircuitBreaker~onStateChange} options.onStateChange
+     *      Called whenever the state changes, e.g. to log it or update metrics.
+     */
+    constructor(options = {}) {
+        _.defaults(this, options, defaultOptions);
+
+        if (!(this.failureRatio > 0 && this.failureRatio <= 1)) {
+            throw new Error('Cannot instantiate CircuitBreaker, failureRatio must be between 0 and 1');
+        }
+        if (!(this.halfOpenTrials >= 1)) {
+            throw new Error('Cannot instantiate CircuitBreaker, halfOpenTrials must be at least 1');
+        }
+
+        this.state = STATES.CLOSED;
+        this.openedAt = undefined;
+        this._resetWindow(Date.now());
+        // Number of half-open trial calls in flight, and that have succeeded.
+        this._trialsInFlight = 0;
+        this._trialSuccesses = 0;
+    }
+
+    /**
+     * Starts a new window of call counts at now.
+     *
+     * @param {number} now
+     */
+    _resetWindow(now) {
+        this.windowStartedAt = now;
+        this.calls = 0;
+        this.failures = 0;
+    }
+
+    /**
+     * @param {string} state
+     */
+    _setState(state) {
+        const previousState = this.state;
+        if (state === previousState) {
+            return;
+        }
+        this.state = state;
+        this.openedAt = state === STATES.OPEN ? Date.now() : this.openedAt;
+        this._trialsInFlight = 0;
+        this._trialSuccesses = 0;
+        this._resetWindow(Date.now());
+        if (this.onStateChange) {
+            this.onStateChange(state, previousState);
+        }
+    }
+
+    /**
+     * Returns the current state, moving from open to half-open once openMs has passed.
+     *
+     * @return {string}
+     */
+    currentState() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.openMs) {
+            this._setState(STATES.HALF_OPEN);
+        }
+        return this.state;
+    }
+
+    /**
+     * Returns true if a call is allowed through now.  If the circuit is half-open,
+     * the call is counted as a trial call.
+     *
+     * @return {boolean}
+     */
+    _allowCall() {
+        const state = this.currentState();
+        if (state === STATES.CLOSED) {
+            return true;
+        }
+        if (state === STATES.HALF_OPEN && this._trialsInFlight < this.halfOpenTrials) {
+            this._trialsInFlight++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Records the outcome of a call that was allowed through.
+     *
+     * @param {boolean} failed
+     * @param {string} stateOfCall the state when the call was allowed through.
+     */
+    _record(failed, stateOfCall) {
+        if (stateOfCall === STATES.HALF_OPEN) {
+            // Outcomes of trial calls only matter if the circuit is still half-open.
+            if (this.state !== STATES.HALF_OPEN) {
+                return;
+            }
+            this._trialsInFlight--;
+            if (failed) {
+                this._setState(STATES.OPEN);
+            } else if (++this._trialSuccesses >= this.halfOpenTrials) {
+                this._setState(STATES.CLOSED);
+            }
+            return;
+        }
+
+        if (this.state !== STATES.CLOSED) {
+            return;
+        }
+        const now = Date.now();
+        if (now - this.windowStartedAt >= this.windowMs) {
+            this._resetWindow(now);
+        }
+        this.calls++;
+        if (failed) {
+            this.failures++;
+        }
+        if (this.calls >= this.minCalls && this.failures / this.calls >= this.failureRatio) {
+            this._setState(STATES.OPEN);
+        }
+    }
+
+    /**
+     * Calls fn, unless the circuit is open.
+     *
+     * @param {Function} fn
+     * @param {Array} args arguments to call fn, or fallback if the circuit is open, with.
+     * @return {Promise} of fn's result.
+     * @throws {CircuitOpenError} if the circuit is open and there is no fallback.
+     * @throws {EventTimeoutError} if fn did not complete within callTimeout.
+     */
+    async run(fn, ...args) {
+        if (!this._allowCall()) {
+            if (this.fallback) {
+                return this.fallback(...args);
+            }
+            throw new CircuitOpenError(
+                `Circuit ${this.name} is open, not calling it`,
+                { circuit: this.name, state: this.state }
+            );
+        }
+
+        const stateOfCall = this.state;
+        try {
+            const result = await withTimeout(
+                fn(...args),
+                this.callTimeout,
+                () => new EventTimeoutError(
+                    `Call to circuit ${this.name} did not complete within ${this.callTimeout} ms`,
+                    { circuit: this.name, timeout: this.callTimeout }
+                )
+            );
+            this._record(false, stateOfCall);
+            return result;
+        } catch (err) {
+            this._record(this.isFailure(err), stateOfCall);
+            throw err;
+        }
+    }
+
+    /**
+     * Returns a function that calls fn through this CircuitBreaker, e.g. an
+     * EventGate~produce function.
+     *
+     * @param {Function} fn
+     * @return {Function}
+     */
+    wrap(fn) {
+        return (...args) => this.run(fn, ...args);
+    }
+
+    /**
+     * Will be called if returned in an HTTP response body, e.g. by /_info.
+     *
+     * @return {Object}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            state: this.currentState(),
+            opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : undefined,
+            calls: this.calls,
+            failures: this.failures
+        };
+    }
+}
+
+/**
+ * 'static' 'enum' constant for possible states.
+ */
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
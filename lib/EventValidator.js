@@ -4,18 +4,22 @@ const P      = require('bluebird');
 const Ajv    = require('ajv');
 const _      = require('lodash');
 const bunyan = require('bunyan');
+const fs     = require('fs');
+const path   = require('path');
 
 const {
     urlGetObject,
 } = require('@wikimedia/url-get');
 
 const {
-    objectGet
+    objectGet,
+    withTimeout
 } = require('./event-util');
 
 const {
     ValidationError,
-    EventSchemaLoadError
+    EventSchemaLoadError,
+    EventTimeoutError
 } = require('./error');
 
 // This will be used to make sure that all schemas
@@ -23,6 +27,122 @@ const {
 // See: https://www.npmjs.com/package/ajv#security-considerations
 const secureMetaSchema = require('ajv/lib/refs/json-schema-secure.json');
 
+/**
+ * Extensions of schema files that are left out of the URIs of preloaded schema files.
+ */
+const SCHEMA_FILE_EXTENSION_REGEX = /\.(json|ya?ml)$/;
+
+/**
+ * Returns the paths of all files in directory and its subdirectories, sorted.
+ * Hidden files and directories are skipped.
+ *
+ * @param {string} directory
+ * @return {Array<string>}
+ */
+function schemaFiles(directory) {
+    return _.flatMap(fs.readdirSync(directory).sort(), (name) => {
+        const file = path.join(directory, name);
+        if (name.startsWith('.')) {
+            return [];
+        }
+        return fs.statSync(file).isDirectory() ? schemaFiles(file) : [file];
+    });
+}
+
+/**
+ * Matches character classes and escaped characters in regex source, which are
+ * replaced before looking for nested quantifiers.
+ */
+const REGEX_CLASS_OR_ESCAPE_REGEX = /\[(?:\\.|[^\]\\])*\]|\\./g;
+/**
+ * Matches the group prefixes of non capturing groups and lookarounds in regex source.
+ */
+const REGEX_GROUP_PREFIX_REGEX = /\(\?(?:[:=!]|<[=!])/g;
+/**
+ * Matches a quantified group that contains a quantifier itself, e.g. (a+)*, which
+ * can take exponential time to backtrack.
+ */
+const NESTED_QUANTIFIER_REGEX = /\([^()]*[*+?}][^()]*\)[*+{]/;
+/**
+ * Matches groups that don't contain other groups in regex source.
+ */
+const INNERMOST_GROUP_REGEX = /\(([^()]*)\)/g;
+
+/**
+ * Returns the reason why the regex of a custom Ajv format is not secure, or undefined
+ * if it is.  Regex formats must be anchored at both ends, so that they match whole
+ * values, and must not nest quantifiers.
+ *
+ * @param {RegExp|string} regex
+ * @return {string|undefined}
+ */
+function insecureFormatRegexReason(regex) {
+    const source = regex instanceof RegExp ? regex.source : regex;
+    if (!source.startsWith('^') || !source.endsWith('$') || source.endsWith('\\$')) {
+        return `its regex ${source} must start with ^ and end with $`;
+    }
+    let simplified = source
+        .replace(REGEX_CLASS_OR_ESCAPE_REGEX, 'x')
+        .replace(REGEX_GROUP_PREFIX_REGEX, '(');
+    let previous;
+    do {
+        if (NESTED_QUANTIFIER_REGEX.test(simplified)) {
+            return `its regex ${source} has nested quantifiers`;
+        }
+        // Replace innermost groups, keeping whether they contain a quantifier,
+        // so that groups around them are checked next.
+        previous = simplified;
+        simplified = simplified.replace(INNERMOST_GROUP_REGEX, (group, content) => {
+            return /[*+?}]/.test(content) ? 'x+' : 'x';
+        });
+    } while (simplified !== previous);
+    return undefined;
+}
+
+/**
+ * Throws if format is not an Ajv format definition, or if it is a regex format
+ * that is not secure (see insecureFormatRegexReason).  Formats with validate
+ * functions cannot be checked.
+ *
+ * @param {string} name
+ * @param {RegExp|string|Function|Object} format
+ * @throws {Error}
+ */
+function checkFormatSecure(name, format) {
+    const validate = _.isPlainObject(format) ? format.validate : format;
+    let reason;
+    if (_.isRegExp(validate) || _.isString(validate)) {
+        reason = insecureFormatRegexReason(validate);
+    } else if (!_.isFunction(validate)) {
+        reason = 'it must be a RegExp, a regex string, a function, or an object ' +
+            'with one of these in validate';
+    }
+    if (reason) {
+        throw new Error(`Ajv format ${name} is not secure, ${reason}`);
+    }
+}
+
+/**
+ * Maximum number of schema load failures remembered for schemaLoadFailureTtl.
+ * If more schema URIs fail to load, the oldest failures are forgotten first.
+ */
+const MAX_SCHEMA_LOAD_FAILURES = 10000;
+
+/**
+ * Returns true if error means that the schema will not load if tried again soon:
+ * the schema does not exist (an HTTP 404 or 410, or a missing local file), or
+ * it is insecure.  Timeouts, network and server errors are transient, and are
+ * not remembered for schemaLoadFailureTtl.
+ *
+ * @param {Error} error
+ * @return {boolean}
+ */
+function isDefinitiveLoadFailure(error) {
+    return error instanceof ValidationError ||
+        _.includes([404, 410], _.get(error, 'status')) ||
+        _.get(error, 'code') === 'ENOENT';
+}
+
 const defaultOptions = {
     extractSchemaUri: (event) => objectGet(event, '$schema'),
     getSchema: (uri) => urlGetObject(uri),
@@ -37,8 +157,18 @@ const defaultOptions = {
     metaSchemaIdRegex: /^https?:\/\/json-schema.org\//,
     // Add draft-04 meta schema by default.
     metaSchemas: [require('ajv/lib/refs/json-schema-draft-04.json')],
+    // Custom Ajv formats and keywords to add during instantiation.
+    ajvPlugins: undefined,
     // If true, schemas will not be validated against AJV's jsons-schema-secure.
     allowInsecureSchemas: false,
+    // If set, getSchema calls that take longer than this many milliseconds will time out.
+    schemaLoadTimeout: undefined,
+    // If set, cached schemas will be reloaded in the background once they are this
+    // many milliseconds old.
+    schemaCacheTtl: undefined,
+    // If set, schemas that failed to load will not be loaded again until this
+    // many milliseconds have passed.
+    schemaLoadFailureTtl: undefined,
     // This logger will be used if one is not provided to EventValidator constructor.
     log: bunyan.createLogger(
         { name: 'EventValidator', src: true, level: 'info' }
@@ -51,7 +181,20 @@ const defaultOptions = {
  * resolveSchemaUri, and then JSON schemas at the resulting URL are downloaded.
  * Those schemas are used to create cached AJV validators.  Note that
  * AJV will cache schema validators both by the event schema URI and the schema's
- * $id field.
+ * $id field.  EventValidator keeps track of both, so that invalidate() evicts
+ * a validator by all of them at once.
+ *
+ * If schemaCacheTtl is set, validators that are older than schemaCacheTtl are
+ * refreshed in the background: the stale validator keeps being used until the schema
+ * has been reloaded and recompiled, so validation never waits on a refresh.
+ * Schemas that were loaded for $refs and are older than schemaCacheTtl are reloaded
+ * along with the schemas that refer to them.
+ *
+ * Concurrent validatorAt calls for a schema URI that is not cached yet share a single
+ * load and compile.  If schemaLoadFailureTtl is set, schema URIs that do not exist or
+ * are insecure are not loaded again until schemaLoadFailureTtl has passed, their loads
+ * fail with the same error instead.  This keeps events with unknown schemas from hammering
+ * the schema repository.  Transient failures like timeouts are not remembered.
  *
  * This class's validate method is intended to be used as an EventGate validate function.
  */
@@ -89,6 +232,13 @@ class EventValidator {
      *      This can help avoid remote lookup of schema meta schemas
      *      (e.g. draft-0X JSONSchema from json-schema.org) during
      *      runtime. Default: draft-04.  (draft-07 is always supported).
+     * @param {Array<Object>} options.ajvPlugins
+     *      Plugins with custom Ajv formats and keywords, each with optional formats and
+     *      keywords objects of Ajv format and keyword definitions keyed by name.
+     *      See lib/ajv-formats.js for an example.  Schemas that use custom formats
+     *      are checked by the json-schema-secure check just like other formats are.
+     *      Unless allowInsecureSchemas is true, regex formats must also be anchored
+     *      with ^ and $ and must not nest quantifiers, else this throws.
      * @param {Object} options.metaSchemaIdRegex
      *      Schema $ids which are considered to be 'meta' schemas.
      *      This allows us to avoid infinite recursion for meta schemas loaded at
@@ -105,6 +255,14 @@ class EventValidator {
      *      This usually means that string fields with either pattern or format
      *      must also specify a maxLength.  If allowInsecureSchemas is true,
      *      this check will not be done and any JSONSchema feature will be allowed.
+     * @param {number} options.schemaLoadTimeout If set, loading a schema with getSchema
+     *      that takes longer than this many milliseconds will fail with an EventTimeoutError.
+     * @param {number} options.schemaCacheTtl If set, cached validators are refreshed
+     *      in the background once their schema was loaded this many milliseconds ago.
+     *      Default: cached validators are never refreshed.
+     * @param {number} options.schemaLoadFailureTtl If set, schema URIs that do not exist
+     *      or are insecure are not loaded again for this many milliseconds.
+     *      Default: failed schemas are loaded again the next time they are needed.
      * @param {Object} options.log an instantiated bunyan logger instance.
      */
     constructor(options = {}) {
@@ -137,8 +295,100 @@ class EventValidator {
             'https://json-schema.org/draft-07/schema'
         );
 
+        // Add custom formats and keywords before any schema is compiled.
+        if (this.ajvPlugins) {
+            this.ajvPlugins.forEach((plugin) => this._addAjvPlugin(plugin));
+        }
+
         // Add a meta schema to check if schemas are secure for AJV compilation.
         this.isSchemaSecure = this.ajv.compile(secureMetaSchema);
+
+        // Validators compiled by validatorAt, keyed by every schema URI and $id
+        // they are cached by in Ajv.
+        this._cacheEntries = new Map();
+        // Times at which (non meta) schemas were loaded by loadSchema, keyed by
+        // their URI and $id.
+        this._schemaLoadedAt = new Map();
+        // Promises of validators that are being loaded and compiled by validatorAt,
+        // keyed by schema URI.
+        this._loading = new Map();
+        // { error, failedAt } of schemas that failed to load, keyed by schema URI.
+        this._loadFailures = new Map();
+    }
+
+    /**
+     * Adds a plugin's custom formats and keywords to Ajv.
+     *
+     * @param {Object} plugin
+     * @param {Object} plugin.formats Ajv format definitions keyed by format name.
+     * @param {Object} plugin.keywords Ajv keyword definitions keyed by keyword.
+     * @throws {Error} if a format is not secure, unless allowInsecureSchemas is true.
+     */
+    _addAjvPlugin(plugin) {
+        _.forEach(plugin.formats, (format, name) => {
+            if (!this.allowInsecureSchemas) {
+                checkFormatSecure(name, format);
+            }
+            this.log.debug(`Adding Ajv format ${name}`);
+            this.ajv.addFormat(name, format);
+        });
+        _.forEach(plugin.keywords, (keyword, name) => {
+            this.log.debug(`Adding Ajv keyword ${name}`);
+            this.ajv.addKeyword(name, keyword);
+        });
+    }
+
+    /**
+     * Returns the schema's $id (or id) the way Ajv caches it by, or undefined.
+     *
+     * @param {Object} schema
+     * @return {string|undefined}
+     */
+    _schemaId(schema) {
+        const schemaId = this.ajv._getId(schema);
+        return schemaId ? _.trimEnd(schemaId, '#') : undefined;
+    }
+
+    /**
+     * @param {number} loadedAt
+     * @return {boolean} true if something loaded at loadedAt should be refreshed.
+     */
+    _isExpired(loadedAt) {
+        return this.schemaCacheTtl > 0 && Date.now() - loadedAt >= this.schemaCacheTtl;
+    }
+
+    /**
+     * Returns the error uri failed to load with, if this happened less than
+     * schemaLoadFailureTtl ago.
+     *
+     * @param {string} uri
+     * @return {Error|undefined}
+     */
+    _recentLoadFailure(uri) {
+        const failure = this._loadFailures.get(uri);
+        if (failure && Date.now() - failure.failedAt < this.schemaLoadFailureTtl) {
+            return failure.error;
+        }
+        this._loadFailures.delete(uri);
+        return undefined;
+    }
+
+    /**
+     * Remembers that uri failed to load with error, if schemaLoadFailureTtl is set
+     * and error is not transient, see isDefinitiveLoadFailure.
+     *
+     * @param {string} uri
+     * @param {Error} error
+     */
+    _rememberLoadFailure(uri, error) {
+        if (!(this.schemaLoadFailureTtl > 0) || !isDefinitiveLoadFailure(error)) {
+            return;
+        }
+        this._loadFailures.delete(uri);
+        this._loadFailures.set(uri, { error, failedAt: Date.now() });
+        if (this._loadFailures.size > MAX_SCHEMA_LOAD_FAILURES) {
+            this._loadFailures.delete(this._loadFailures.keys().next().value);
+        }
     }
 
     /**
@@ -166,36 +416,170 @@ class EventValidator {
      * both $refs (given by AJV) and event schema URIs using the provided
      * this.resolveSchemaUri function.
      *
+     * If uri failed to load less than schemaLoadFailureTtl ago, this fails
+     * with the same error without loading it again.
+     *
      * @param {string} uri
      * @return {Promise<Object>}
      */
     loadSchema(uri) {
+        const recentFailure = this._recentLoadFailure(uri);
+        if (recentFailure) {
+            this.log.debug(`Not loading schema at ${uri}, it recently failed to load`);
+            return P.reject(recentFailure);
+        }
+
         this.log.info(`Loading schema at ${uri}`);
-        return this.getSchema(uri)
+        return withTimeout(
+            this.getSchema(uri),
+            this.schemaLoadTimeout,
+            () => new EventTimeoutError(
+                `Loading schema at ${uri} did not complete within ${this.schemaLoadTimeout} ms`,
+                { timeout: this.schemaLoadTimeout, uri }
+            )
+        )
         .then((schema) => {
             this.log.trace({ schema }, `Loaded schema at ${uri}`);
+            return this._checkLoadedSchema(uri, schema);
+        })
+        .catch((error) => {
+            this._rememberLoadFailure(uri, error);
+            throw error;
+        });
+    }
+
+    /**
+     * Returns true if schema has an id that matches metaSchemaIdRegex.
+     *
+     * @param {Object} schema
+     * @return {boolean}
+     */
+    _isMetaSchema(schema) {
+        // NOTE: ajv._getId will return either schema.$id or schema.id depending
+        // on the ajv config option 'schemaId', which defaults to 'auto'.
+        const schemaId = this.ajv._getId(schema);
+        return Boolean(
+            schemaId && this.metaSchemaIdRegex && schemaId.match(this.metaSchemaIdRegex)
+        );
+    }
 
-            // If this schema has an id that matches metaSchemaIdRegex,
-            // then it should be added as a meta schema. (We don't need
-            // to check if it has already been added to Ajv, since if it was,
-            // loadSchema would not have been called for it in the first place.)
-            // NOTE: ajv._getId will return either schema.$id or schema.id depending
-            // on the ajv config option 'schemaId', which defaults to 'auto'.
-            const schemaId = this.ajv._getId(schema);
-            if (schemaId && this.metaSchemaIdRegex && schemaId.match(this.metaSchemaIdRegex)) {
-                this.log.info(`Adding schema at ${uri} with id ${schemaId} as meta schema.`);
-                this.ajv.addMetaSchema(schema);
-            } else if (!this.allowInsecureSchemas && !this.isSchemaSecure(schema)) {
-                // Else this is not a meta schema.
-                // Make sure that this schema is secure for AJV compilation.
-                const errorMessage = `Schema at ${uri} is not secure for compilation`;
-                const errors =  this.isSchemaSecure.errors;
-                this.log.error({ errors }, errorMessage);
-                throw new ValidationError(errorMessage, errors);
+    /**
+     * Adds a schema that was loaded from uri as a meta schema if it is one.
+     * Else checks that it is secure, and remembers when it was loaded.
+     *
+     * @param {string} uri
+     * @param {Object} schema
+     * @return {Object} schema
+     * @throws {ValidationError} if the schema is not secure.
+     */
+    _checkLoadedSchema(uri, schema) {
+        // If this schema has an id that matches metaSchemaIdRegex,
+        // then it should be added as a meta schema. (We don't need
+        // to check if it has already been added to Ajv, since if it was,
+        // loadSchema would not have been called for it in the first place.)
+        if (this._isMetaSchema(schema)) {
+            this.log.info(
+                `Adding schema at ${uri} with id ${this.ajv._getId(schema)} as meta schema.`
+            );
+            this.ajv.addMetaSchema(schema);
+        } else if (!this.allowInsecureSchemas && !this.isSchemaSecure(schema)) {
+            // Else this is not a meta schema.
+            // Make sure that this schema is secure for AJV compilation.
+            const errorMessage = `Schema at ${uri} is not secure for compilation`;
+            const errors =  this.isSchemaSecure.errors;
+            this.log.error({ errors }, errorMessage);
+            throw new ValidationError(errorMessage, errors);
+        } else {
+            const loadedAt = Date.now();
+            this._schemaLoadedAt.set(uri, loadedAt);
+            if (this._schemaId(schema)) {
+                this._schemaLoadedAt.set(this._schemaId(schema), loadedAt);
             }
+        }
 
-            return schema;
-        });
+        return schema;
+    }
+
+    /**
+     * Loads and compiles schemas ahead of time, so that the first events that use them
+     * don't wait on this, and don't fail if the schemas can't be loaded at that time.
+     * Schemas that fail to preload are reported, but the others are still preloaded.
+     *
+     * Schema files in options.directory are read directly, not with getSchema.  Each is
+     * cached by its path relative to directory (without a .json, .yaml or .yml extension),
+     * e.g. test/event/1.0.0.yaml as /test/event/1.0.0, and by its $id.  Files without
+     * a $schema, e.g. stream configs, are skipped, and so are meta schemas.  Meta schemas
+     * the schema files use are loaded with loadSchema first if needed.  All schema files
+     * are added before any is compiled, so that $refs between them are resolved
+     * without loading them with getSchema.
+     *
+     * @param {Object} options
+     * @param {Array<string>} options.uris Schema URIs to load with getSchema.
+     * @param {string} options.directory A local directory of schema files.
+     * @return {Promise<Object>}
+     *      of { preloaded: [uri, ...], failed: [{ uri, error }, ...] }
+     */
+    async preload(options = {}) {
+        const report = { preloaded: [], failed: [] };
+        const failed = (uri, error) => {
+            this.log.debug({ err: error }, `Failed preloading schema at ${uri}`);
+            report.failed.push({ uri, error });
+        };
+
+        const addedSchemas = [];
+        const fileUris = new Set();
+        for (const file of options.directory ? schemaFiles(options.directory) : []) {
+            const uri = '/' + path.relative(options.directory, file)
+                .split(path.sep).join('/')
+                .replace(SCHEMA_FILE_EXTENSION_REGEX, '');
+            if (fileUris.has(uri)) {
+                // E.g. both test/0.0.1 and test/0.0.1.yaml exist.
+                continue;
+            }
+            fileUris.add(uri);
+            try {
+                const schema = await urlGetObject(`file://${path.resolve(file)}`);
+                if (!_.isPlainObject(schema) || !_.isString(schema.$schema)) {
+                    this.log.debug(`Not preloading ${file}, it has no $schema`);
+                    continue;
+                }
+                if (!this._isMetaSchema(schema)) {
+                    // Ajv can only add schemas whose meta schema it already has.
+                    if (!this.ajv.getSchema(schema.$schema)) {
+                        await this.loadSchema(schema.$schema);
+                    }
+                    this.ajv.addSchema(this._checkLoadedSchema(uri, schema), uri);
+                    addedSchemas.push({ uri, schema });
+                }
+            } catch (error) {
+                failed(uri, new EventSchemaLoadError(
+                    `Failed loading schema file ${file}`,
+                    { originalError: error, uri, file }
+                ));
+            }
+        }
+        for (const { uri, schema } of addedSchemas) {
+            try {
+                this._track(uri, await this._compile(uri, schema));
+                report.preloaded.push(uri);
+            } catch (error) {
+                failed(uri, error);
+            }
+        }
+
+        for (const uri of options.uris || []) {
+            try {
+                await this.validatorAt(uri);
+                report.preloaded.push(uri);
+            } catch (error) {
+                failed(uri, error);
+            }
+        }
+
+        this.log.info(
+            `Preloaded ${report.preloaded.length} schemas, ${report.failed.length} failed`
+        );
+        return report;
     }
 
     /**
@@ -212,49 +596,189 @@ class EventValidator {
     /**
      * Given a schema URI, this will load, compile, and cache the schema there.
      * If the schema URI or $id has been seen before, it will
-     * be loaded from the AJV cache and not recompiled.
+     * be loaded from the cache and not recompiled.  If the cached validator
+     * is older than schemaCacheTtl, it is returned, but refreshed in the background.
      *
      * @param {string} uri
      * @return {Promise<Function>}
      * @throws {EventSchemaLoadError}
+     * @throws {EventTimeoutError} if loading the schema timed out.
      */
     validatorAt(uri) {
         // If this uri has been seen before, return the already compiled
-        // and cached AJV validator.
+        // and cached validator.
+        const entry = this._cacheEntries.get(uri);
+        if (entry) {
+            if (this._isExpired(entry.loadedAt) && !entry.refreshing) {
+                entry.refreshing = this._refresh(entry);
+            }
+            return P.resolve(entry.validator);
+        }
+        // Ajv might also have cached this uri, e.g. as a meta schema or a $ref.
         const validator = this.ajv.getSchema(uri);
         if (validator) {
             return P.resolve(validator);
+        } else if (this._loading.has(uri)) {
+            // This uri is already being loaded and compiled for another event.
+            return this._loading.get(uri);
         } else {
             // Else load the event's schema from its schema uri and compile it.
-            return this.loadSchema(uri)
-            // Wrap Event schema loading errors in EventSchemaLoadError
+            const loading = this.loadSchema(uri)
+            // Wrap Event schema loading errors in EventSchemaLoadError.
+            // Timeouts are left as is, so that they can be told apart.
             .catch((error) => {
+                if (error instanceof EventTimeoutError) {
+                    throw error;
+                }
                 throw new EventSchemaLoadError(
                     `Failed loading schema at ${uri}`,
                     { originalError: error, uri: uri }
                 );
             })
-            .then((schema) => {
-                this.log.trace(`Compiling validator for schema at ${uri}`);
-                return this.ajv.compileAsync(schema).then((validatorFn) => {
-                    // Also cache this schema at uri if uri is different than schema.$id
-                    // and this schema uri hasn't yet been added to the AJV cache
-                    if (_.isUndefined(this.ajv.getSchema(uri))) {
-                        this.log.debug(
-                            'Additionally caching schema with $id ' +
-                            `'${validatorFn.schema.$id}' by schema URI ` +
-                            `${uri}`
-                        );
-                        this.ajv.addSchema(validatorFn.schema, uri);
-                    }
+            .then((schema) => this._compile(uri, schema))
+            .then((validatorFn) => this._track(uri, validatorFn).validator)
+            .finally(() => {
+                this._loading.delete(uri);
+            });
+            this._loading.set(uri, loading);
+            return loading;
+        }
+    }
+
+    /**
+     * Compiles schema, and caches it in Ajv by its $id and uri.
+     *
+     * @param {string} uri
+     * @param {Object} schema
+     * @return {Promise<Function>}
+     */
+    _compile(uri, schema) {
+        this.log.trace(`Compiling validator for schema at ${uri}`);
+        return this.ajv.compileAsync(schema).then((validatorFn) => {
+            // Also cache this schema at uri if uri is different than schema.$id
+            // and this schema uri hasn't yet been added to the AJV cache
+            if (_.isUndefined(this.ajv.getSchema(uri))) {
+                this.log.debug(
+                    'Additionally caching schema with $id ' +
+                    `'${validatorFn.schema.$id}' by schema URI ` +
+                    `${uri}`
+                );
+                this.ajv.addSchema(validatorFn.schema, uri);
+            }
+
+            this.log.trace(
+                `Compiled and cached validator for schema at ${uri}`
+            );
+            return validatorFn;
+        });
+    }
+
+    /**
+     * Keeps track of validatorFn being cached by uri and its schema's $id.  If a validator
+     * with the same uri or $id was already tracked, e.g. because the same schema
+     * was loaded from a different URI, its keys are kept too, so that they are evicted together.
+     *
+     * @param {string} uri
+     * @param {Function} validatorFn
+     * @return {Object} the cache entry.
+     */
+    _track(uri, validatorFn) {
+        const keys = _.compact([uri, this._schemaId(validatorFn.schema)]);
+        const previousEntry = _.compact(keys.map((key) => this._cacheEntries.get(key)))[0];
 
-                    this.log.trace(
-                        `Compiled and cached validator for schema at ${uri}`
-                    );
-                    return validatorFn;
-                });
+        const entry = {
+            uri,
+            validator: validatorFn,
+            keys: new Set(previousEntry ? [...previousEntry.keys, ...keys] : keys),
+            loadedAt: this._schemaLoadedAt.has(uri) ? this._schemaLoadedAt.get(uri) : Date.now(),
+            // Promise of a refresh in progress, if any.
+            refreshing: undefined
+        };
+        entry.keys.forEach((key) => this._cacheEntries.set(key, entry));
+        return entry;
+    }
+
+    /**
+     * Reloads and recompiles the schema of a cache entry.  Until this is done,
+     * the entry's stale validator keeps being used.  If this fails, the stale validator
+     * is kept, and the refresh is retried once it is schemaCacheTtl old again.
+     *
+     * @param {Object} entry
+     * @return {Promise}
+     */
+    _refresh(entry) {
+        this.log.info(`Refreshing schema at ${entry.uri}`);
+        return this.loadSchema(entry.uri).then((schema) => {
+            // Remove the stale schema, and schemas loaded for expired $refs, from Ajv,
+            // so that the new schema can be compiled with the same $id, and its $refs
+            // are reloaded.
+            const expiredKeys = Array.from(this._schemaLoadedAt.keys()).filter((key) => {
+                return this._isExpired(this._schemaLoadedAt.get(key));
+            });
+            _.uniq([...entry.keys, ...expiredKeys]).forEach((key) => {
+                this.ajv.removeSchema(key);
             });
+            return this._compile(entry.uri, schema);
+        })
+        .then((validatorFn) => {
+            this._track(entry.uri, validatorFn);
+            this.log.info(`Refreshed schema at ${entry.uri}`);
+        })
+        .catch((error) => {
+            this.log.error(
+                { err: error },
+                `Failed refreshing schema at ${entry.uri}, keeping the cached one: ${error.message}`
+            );
+            entry.loadedAt = Date.now();
+        })
+        .finally(() => {
+            entry.refreshing = undefined;
+        });
+    }
+
+    /**
+     * Evicts the validator cached for uri, by all schema URIs and $ids it is cached by,
+     * so that its schema is loaded again the next time it is needed.  Meta schemas
+     * are never evicted.  A remembered load failure of uri is forgotten too.
+     *
+     * @param {string} uri a schema URI or $id.
+     * @return {boolean} true if anything was evicted.
+     */
+    invalidate(uri) {
+        const forgotFailure = this._loadFailures.delete(uri);
+        let keys;
+        const entry = this._cacheEntries.get(uri);
+        if (entry) {
+            keys = Array.from(entry.keys);
+        } else if (this._schemaLoadedAt.has(uri)) {
+            // Not compiled by validatorAt, but loaded by loadSchema, e.g. for a $ref.
+            const validator = this.ajv.getSchema(uri);
+            keys = _.compact([uri, validator && this._schemaId(validator.schema)]);
+        } else {
+            return forgotFailure;
         }
+
+        this.log.info(`Evicting cached schema at ${keys.join(', ')}`);
+        keys.forEach((key) => {
+            this._cacheEntries.delete(key);
+            this._schemaLoadedAt.delete(key);
+            this.ajv.removeSchema(key);
+        });
+        return true;
+    }
+
+    /**
+     * Evicts all cached validators and schemas loaded by loadSchema, and forgets
+     * all load failures.  Meta schemas are kept.
+     */
+    clear() {
+        this.log.info('Evicting all cached schemas');
+        _.uniq([...this._cacheEntries.keys(), ...this._schemaLoadedAt.keys()]).forEach((key) => {
+            this.ajv.removeSchema(key);
+        });
+        this._cacheEntries.clear();
+        this._schemaLoadedAt.clear();
+        this._loadFailures.clear();
     }
 
     /**
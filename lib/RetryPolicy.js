@@ -0,0 +1,123 @@
+'use strict';
+
+const _ = require('lodash');
+const P = require('bluebird');
+
+const {
+    ValidationError,
+    EventTimeoutError
+} = require('./error');
+
+const defaultOptions = {
+    // Total number of attempts, including the first one.
+    maxAttempts: 3,
+    // Delay before the first retry.  Each following retry doubles this.
+    baseDelayMs: 100,
+    // Retry delays never exceed this.
+    maxDelayMs: 5000,
+    // Fraction (0 to 1) of each delay that is randomized.  With 1, delays
+    // are anywhere between 0 and the exponential backoff delay.
+    jitter: 0.2,
+    // By default, everything except ValidationErrors and EventTimeoutErrors are retried.
+    // A timed out attempt might still complete later, so retrying it could duplicate it.
+    isRetryable: (err) => !(err instanceof ValidationError || err instanceof EventTimeoutError),
+    // Called before each retry.
+    onRetry: undefined
+};
+
+/**
+ * A RetryPolicy runs a function until it succeeds, or until it has been
+ * attempted maxAttempts times, or until it fails with an Error that is not
+ * retryable according to isRetryable.  Retries are delayed with exponential
+ * backoff and jitter.
+ *
+ * When all attempts fail, the final Error is rethrown with an attempts property
+ * set to the number of attempts made.
+ */
+class RetryPolicy {
+
+    /**
+     * @name RetryPolicy~isRetryable
+     * @method
+     * @param {Error} err
+     * @return {boolean}
+     */
+
+    /**
+     * @name RetryPolicy~onRetry
+     * @method
+     * @param {Error} err the Error that caused the retry.
+     * @param {number} attempt the number of the attempt that failed.
+     * @param {number} delayMs milliseconds until the next attempt.
+     */
+
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {number} options.maxAttempts
+     *      Total number of attempts, including the first one. Default: 3
+     * @param {number} options.baseDelayMs
+     *      Delay before the first retry, doubled for every following retry. Default: 100
+     * @param {number} options.maxDelayMs
+     *      Maximum delay between attempts. Default: 5000
+     * @param {number} options.jitter
+     *      Fraction (0 to 1) of each delay that is randomized. Default: 0.2
+     * @param {RetryPolicy~isRetryable} options.isRetryable
+     *      Decides if a failed attempt should be retried.
+     *      Default: all but ValidationErrors and EventTimeoutErrors.
+     * @param {RetryPolicy~onRetry} options.onRetry
+     *      Called before each retry, e.g. to log or count retries.
+     */
+    constructor(options = {}) {
+        _.defaults(this, options, defaultOptions);
+
+        if (!(this.maxAttempts >= 1)) {
+            throw new Error('Cannot instantiate RetryPolicy, maxAttempts must be at least 1');
+        }
+        if (!(this.jitter >= 0 && this.jitter <= 1)) {
+            throw new Error('Cannot instantiate RetryPolicy, jitter must be between 0 and 1');
+        }
+    }
+
+    /**
+     * Returns the number of milliseconds to wait after attempt failed.
+     *
+     * @param {number} attempt number of the failed attempt, starting at 1.
+     * @return {number}
+     */
+    delayFor(attempt) {
+        const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+        return Math.round(delay * (1 - this.jitter * Math.random()));
+    }
+
+    /**
+     * Calls fn until it succeeds or this policy gives up.
+     *
+     * @param {function(number): Promise} fn called with the attempt number, starting at 1.
+     * @return {Promise<Object>} of { result, attempts }
+     * @throws {Error} the last Error thrown by fn, with attempts set.
+     */
+    async run(fn) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await fn(attempt);
+                return { result, attempts: attempt };
+            } catch (err) {
+                if (attempt >= this.maxAttempts || !this.isRetryable(err)) {
+                    if (_.isObject(err)) {
+                        err.attempts = attempt;
+                    }
+                    throw err;
+                }
+
+                const delayMs = this.delayFor(attempt);
+                if (this.onRetry) {
+                    this.onRetry(err, attempt, delayMs);
+                }
+                await P.delay(delayMs);
+            }
+        }
+    }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,207 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Returns a function that upgrades an event by applying declarative rules in order.
+ * Each rule is one of:
+ * - { rename: 'dotted.path', to: 'other.dotted.path' }
+ *      Moves the value at rename to to, if the event has a value at rename.
+ * - { set_default: 'dotted.path', value: any }
+ *      Sets value at set_default, if the event does not have a value there.
+ * - { drop: 'dotted.path' }
+ *      Removes the value at drop.
+ *
+ * @param {Array<Object>} rules
+ * @return {function(Object): Object}
+ * @throws {Error} if any rule is not one of the above.
+ */
+function makeRulesUpgrade(rules) {
+    const ruleFns = rules.map((rule) => {
+        if (_.has(rule, 'rename') && _.has(rule, 'to')) {
+            return (event) => {
+                if (_.has(event, rule.rename)) {
+                    _.set(event, rule.to, _.get(event, rule.rename));
+                    _.unset(event, rule.rename);
+                }
+            };
+        } else if (_.has(rule, 'set_default')) {
+            return (event) => {
+                if (!_.has(event, rule.set_default)) {
+                    _.set(event, rule.set_default, _.cloneDeep(rule.value));
+                }
+            };
+        } else if (_.has(rule, 'drop')) {
+            return (event) => {
+                _.unset(event, rule.drop);
+            };
+        }
+        throw new Error(
+            `Invalid schema upgrade rule ${JSON.stringify(rule)}, must be one of ` +
+            '{ rename, to }, { set_default, value } or { drop }'
+        );
+    });
+
+    return (event) => {
+        ruleFns.forEach((ruleFn) => ruleFn(event));
+        return event;
+    };
+}
+
+/**
+ * A registry of upgrades that transform events sent with an old schema URI
+ * into events that conform to a newer schema URI.  Each upgrade maps one exact
+ * schema URI (as set in events) to another, either with declarative rules
+ * (see makeRulesUpgrade), or with an upgrade function.  Upgrades are chained,
+ * so that an event is upgraded until there are no upgrades for its schema URI.
+ */
+class SchemaUpgrades {
+    /**
+     * @name SchemaUpgrades~upgrade
+     * @method
+     * @param {Object} event
+     * @param {Object} context
+     * @return {Promise<Object>|Object} the upgraded event.  Anything else but an
+     *      object fails the upgrade.
+     */
+
+    /**
+     * @constructor
+     * @param {Array<Object>} upgrades
+     *      Each upgrade has from and to schema URIs, and either an Array of rules,
+     *      or an upgrade function (SchemaUpgrades~upgrade).
+     */
+    constructor(upgrades = []) {
+        if (!_.isArray(upgrades)) {
+            throw new Error('Cannot instantiate SchemaUpgrades, upgrades must be an array');
+        }
+
+        this._upgrades = new Map();
+        upgrades.forEach((upgrade) => {
+            if (!_.isString(upgrade.from) || !_.isString(upgrade.to)) {
+                throw new Error('Cannot instantiate SchemaUpgrades, upgrades must have from and to');
+            }
+            if (this._upgrades.has(upgrade.from)) {
+                throw new Error(
+                    `Cannot instantiate SchemaUpgrades, ${upgrade.from} has more than one upgrade`
+                );
+            }
+
+            let fn;
+            if (_.isFunction(upgrade.upgrade)) {
+                fn = upgrade.upgrade;
+            } else if (_.isArray(upgrade.rules)) {
+                fn = makeRulesUpgrade(upgrade.rules);
+            } else {
+                throw new Error(
+                    `Cannot instantiate SchemaUpgrades, upgrade from ${upgrade.from} ` +
+                    'must have either rules or an upgrade function'
+                );
+            }
+            this._upgrades.set(upgrade.from, { from: upgrade.from, to: upgrade.to, fn });
+        });
+    }
+
+    /**
+     * Returns true if there is an upgrade for events with schemaUri.
+     *
+     * @param {string} schemaUri
+     * @return {boolean}
+     */
+    has(schemaUri) {
+        return this._upgrades.has(schemaUri);
+    }
+
+    /**
+     * Upgrades a copy of event from schemaUri as far as upgrades allow.
+     * If schemaUriField is given, the event's schema URI is set there after each upgrade,
+     * so that every upgrade in a chain sees the schema URI it is upgrading from.
+     * Else the returned event's schema URI is not set, the caller should do that.
+     *
+     * @param {Object} event
+     * @param {string} schemaUri event's current schema URI.
+     * @param {Object} context
+     * @param {string} schemaUriField dotted path to the event's schema URI.
+     * @return {Promise<Object|undefined>}
+     *      of { event, from, to }, or undefined if there is no upgrade for schemaUri.
+     * @throws {Error} if the upgrades of schemaUri form a cycle, or if an upgrade
+     *      does not return an event.
+     */
+    async upgrade(event, schemaUri, context = {}, schemaUriField = undefined) {
+        if (!this.has(schemaUri)) {
+            return undefined;
+        }
+
+        let upgradedEvent = _.cloneDeep(event);
+        let currentUri = schemaUri;
+        const seen = new Set();
+        while (this.has(currentUri)) {
+            if (seen.has(currentUri)) {
+                throw new Error(`Schema upgrades from ${schemaUri} form a cycle at ${currentUri}`);
+            }
+            seen.add(currentUri);
+
+            const upgrade = this._upgrades.get(currentUri);
+            upgradedEvent = await upgrade.fn(upgradedEvent, context);
+            if (!_.isObject(upgradedEvent)) {
+                throw new Error(
+                    `Schema upgrade from ${upgrade.from} to ${upgrade.to} returned ` +
+                    `${upgradedEvent}, it must return the upgraded event`
+                );
+            }
+            if (!_.isUndefined(schemaUriField)) {
+                _.set(upgradedEvent, schemaUriField, upgrade.to);
+            }
+            currentUri = upgrade.to;
+        }
+        return { event: upgradedEvent, from: schemaUri, to: currentUri };
+    }
+}
+
+/**
+ * Creates an EventGate stage that upgrades events with SchemaUpgrades and sets their
+ * schema URI to the upgraded one.  Every upgrade is recorded as { from, to } in
+ * context.schemaUpgrades, so that it can be noted in the response.
+ *
+ * @param {Object} options
+ * @param {SchemaUpgrades} options.upgrades
+ * @param {string|Array<string>} options.schemaUriField
+ *      Dotted path(s) to the event's schema URI.  The first one that is set in the event is used.
+ * @param {Object} options.log
+ *      If given, upgrades will be logged here.
+ * @return {Object} stage with name and fn.
+ */
+function makeSchemaUpgradeStage(options) {
+    const schemaUriFields = _.castArray(options.schemaUriField);
+
+    return {
+        name: 'upgrade',
+
+        fn: async (event, context = {}) => {
+            const field = schemaUriFields.find((f) => _.has(event, f));
+            if (_.isUndefined(field)) {
+                return event;
+            }
+
+            const result = await options.upgrades.upgrade(
+                event, _.get(event, field), context, field
+            );
+            if (_.isUndefined(result)) {
+                return event;
+            }
+
+            if (options.log) {
+                options.log.debug(`Upgraded event from ${result.from} to ${result.to}`);
+            }
+            context.schemaUpgrades = context.schemaUpgrades || [];
+            context.schemaUpgrades.push({ from: result.from, to: result.to });
+            return result.event;
+        }
+    };
+}
+
+module.exports = {
+    SchemaUpgrades,
+    makeRulesUpgrade,
+    makeSchemaUpgradeStage
+};
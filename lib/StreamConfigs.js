@@ -0,0 +1,77 @@
+'use strict';
+
+const _ = require('lodash');
+
+const {
+    urlGetObject,
+} = require('@wikimedia/url-get');
+
+const {
+    stringMatches
+} = require('./event-util');
+
+/**
+ * Represents a registry of stream configurations.  Each key in the configs
+ * object is either an exact stream name, or a regex string that looks like
+ * /regex/ and matches multiple stream names.  Each value is the config for
+ * the matching streams, e.g. { schema_title: 'my/schema' }.
+ *
+ * When looking up a stream's config, an exact stream name key always
+ * takes precedence.  Otherwise the first regex key that matches the stream
+ * name (in config key order) will be used.
+ */
+class StreamConfigs {
+    /**
+     * @constructor
+     * @param {Object} configs stream configs keyed by stream name or /regex/.
+     */
+    constructor(configs = {}) {
+        if (!_.isPlainObject(configs)) {
+            throw new Error(
+                'Cannot instantiate StreamConfigs, configs must be an object keyed by stream name'
+            );
+        }
+        this.configs = configs;
+        this._patterns = Object.keys(configs).filter(
+            (key) => key.length > 1 && key.startsWith('/') && key.endsWith('/')
+        );
+    }
+
+    /**
+     * Returns the stream config for stream, or undefined if stream is not configured.
+     *
+     * @param {string} stream
+     * @return {Object|undefined}
+     */
+    get(stream) {
+        if (Object.prototype.hasOwnProperty.call(this.configs, stream)) {
+            return this.configs[stream];
+        }
+        const pattern = this._patterns.find((p) => stringMatches(stream, p));
+        return _.isUndefined(pattern) ? undefined : this.configs[pattern];
+    }
+
+    /**
+     * Returns true if stream has a stream config.
+     *
+     * @param {string} stream
+     * @return {boolean}
+     */
+    has(stream) {
+        return !_.isUndefined(this.get(stream));
+    }
+
+    /**
+     * Returns a Promise of a StreamConfigs instance with the YAML or JSON
+     * stream configs loaded from uri.  uri may be a local file path,
+     * a file:// URL, or a remote http(s) URL.
+     *
+     * @param {string} uri
+     * @return {Promise<StreamConfigs>}
+     */
+    static load(uri) {
+        return urlGetObject(uri).then((configs) => new StreamConfigs(configs));
+    }
+}
+
+module.exports = StreamConfigs;
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * An EventValidator Ajv plugin with formats commonly used in event schemas.
+ * Use it by adding ajv-formats to ajv_plugins in the default EventGate's config.
+ *
+ * Like all formats, these are only allowed in (non meta) schemas that also set a maxLength,
+ * unless allowInsecureSchemas is true.
+ */
+
+/**
+ * Matches ISO-8601 date-times that have a timezone, e.g. 2020-01-01T00:00:00Z or
+ * 2020-01-01T00:00:00+01:00.  Fractional seconds are removed with
+ * FRACTIONAL_SECONDS_REGEX before matching.
+ */
+const ISO_8601_DATE_TIME_TZ_REGEX =
+    /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:[0-5]\d(Z|[+-]([01]\d|2[0-3]):[0-5]\d)$/;
+const FRACTIONAL_SECONDS_REGEX = /\.\d+(?=Z|[+-])/;
+
+/**
+ * Returns true if value is an ISO-8601 date-time with a timezone, on a day that exists.
+ *
+ * @param {string} value
+ * @return {boolean}
+ */
+function isIso8601DateTimeTz(value) {
+    if (!ISO_8601_DATE_TIME_TZ_REGEX.test(value.replace(FRACTIONAL_SECONDS_REGEX, ''))) {
+        return false;
+    }
+    // Date.parse would roll e.g. 2020-02-31 over to 2020-03-02.
+    const day = value.slice(0, 10);
+    return new Date(`${day}T00:00:00Z`).toISOString().slice(0, 10) === day;
+}
+
+const formats = {
+    // Unlike Ajv's date-time format, this does not allow date-times without a timezone.
+    'iso-8601-date-time-tz': {
+        type: 'string',
+        validate: isIso8601DateTimeTz
+    },
+    // Unlike Ajv's uuid format, this only allows (random) version 4 UUIDs.
+    'uuid-v4': {
+        type: 'string',
+        validate: /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+    },
+    // MediaWiki database names, e.g. enwiki or zh_min_nanwiki.
+    'wiki-dbname': {
+        type: 'string',
+        validate: /^[a-z][a-z0-9_]{0,63}$/
+    }
+};
+
+module.exports = {
+    formats
+};
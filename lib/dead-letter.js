@@ -0,0 +1,246 @@
+'use strict';
+
+const _        = require('lodash');
+const fs       = require('fs');
+const path     = require('path');
+const readline = require('readline');
+
+const {
+    once
+} = require('events');
+
+/**
+ * Spool file names start with this prefix, followed by a timestamp and sequence number,
+ * so that sorting the names sorts the files from oldest to newest.
+ */
+const FILE_PREFIX = 'dead-letter-';
+const FILE_SUFFIX = '.ndjson';
+
+/**
+ * Returns a dead-letter record for a failed EventStatus.  The record has the original
+ * event in event, as it was received before any enrichment, upgrade or defaults were
+ * applied to it, and the context of the failure in dead_letter.
+ *
+ * @param {EventStatus} eventStatus
+ * @param {Object} context the EventGate process context of the failed event.
+ * @return {Object}
+ */
+function makeDeadLetterRecord(eventStatus, context = {}) {
+    const err = eventStatus.context;
+    const error = err instanceof Error ?
+        _.omitBy({ name: err.name, message: err.message, code: err.code }, _.isUndefined) :
+        err;
+
+    return {
+        event: _.isUndefined(eventStatus.receivedEvent) ?
+            eventStatus.event : eventStatus.receivedEvent,
+        dead_letter: _.omitBy({
+            dt: new Date().toISOString(),
+            status: eventStatus.status,
+            stage: eventStatus.stage,
+            attempts: eventStatus.attempts,
+            request_id: _.get(context, ['req', 'headers', 'x-request-id']),
+            error
+        }, _.isUndefined)
+    };
+}
+
+/**
+ * A DeadLetterSpool writes failed events with their error context to local
+ * newline delimited JSON files, so that they are not lost, and can be replayed later
+ * (see lib/replay.js).  A new file is started once the current one has grown
+ * to maxFileBytes.  At most maxFiles files are kept, the oldest ones are deleted first.
+ */
+class DeadLetterSpool {
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {string} options.directory Directory to write spool files to.
+     * @param {number} options.maxFileBytes Size at which files are rotated. Default: 100 MB
+     * @param {number} options.maxFiles Maximum number of files to keep. Default: 10
+     * @param {Array<string>} options.statuses
+     *      EventStatuses that are spooled by attach(). Default: ['error', 'timeout']
+     * @param {Object} options.log
+     */
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('Cannot instantiate DeadLetterSpool, directory must be set');
+        }
+        this.directory = options.directory;
+        this.maxFileBytes = _.get(options, 'maxFileBytes', 100 * 1024 * 1024);
+        this.maxFiles = _.get(options, 'maxFiles', 10);
+        this.statuses = _.get(options, 'statuses', ['error', 'timeout']);
+        this.log = options.log;
+
+        this._stream = undefined;
+        this._fileBytes = 0;
+        this._fileSeq = 0;
+        // Writes are chained, so that records are written (and files rotated) in order.
+        this._writing = Promise.resolve();
+
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    /**
+     * Returns the paths of the spool files in directory, oldest first.
+     *
+     * @param {string} directory
+     * @return {Array<string>}
+     */
+    static files(directory) {
+        return fs.readdirSync(directory)
+            .filter((name) => name.startsWith(FILE_PREFIX) && name.endsWith(FILE_SUFFIX))
+            .sort()
+            .map((name) => path.join(directory, name));
+    }
+
+    /**
+     * Writes the dead-letter records of eventStatuses to the current spool file.
+     *
+     * @param {Array<EventStatus>|EventStatus} eventStatuses
+     * @param {Object} context
+     * @return {Promise}
+     */
+    write(eventStatuses, context = {}) {
+        const lines = _.castArray(eventStatuses).map((eventStatus) => {
+            return JSON.stringify(makeDeadLetterRecord(eventStatus, context)) + '\n';
+        });
+        const buffer = Buffer.from(lines.join(''));
+
+        return this._chain(() => this._write(buffer));
+    }
+
+    /**
+     * Runs fn after all pending writes, even if some of them failed.
+     *
+     * @param {Function} fn
+     * @return {Promise}
+     */
+    _chain(fn) {
+        const result = this._writing.then(fn);
+        this._writing = result.catch(_.noop);
+        return result;
+    }
+
+    /**
+     * @param {Buffer} buffer
+     * @return {Promise}
+     */
+    async _write(buffer) {
+        if (!this._stream || this._fileBytes >= this.maxFileBytes) {
+            await this._rotate();
+        }
+        this._fileBytes += buffer.length;
+        if (!this._stream.write(buffer)) {
+            await once(this._stream, 'drain');
+        }
+    }
+
+    /**
+     * Closes the current spool file, starts a new one and deletes the oldest files
+     * over maxFiles.
+     *
+     * @return {Promise}
+     */
+    async _rotate() {
+        await this._end();
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '');
+        const seq = String(this._fileSeq++).padStart(6, '0');
+        this.path = path.join(this.directory, `${FILE_PREFIX}${timestamp}-${seq}${FILE_SUFFIX}`);
+        const stream = fs.createWriteStream(this.path, { flags: 'a' });
+        await once(stream, 'open');
+        this._stream = stream;
+        this._fileBytes = 0;
+
+        const files = DeadLetterSpool.files(this.directory);
+        files.slice(0, Math.max(0, files.length - this.maxFiles)).forEach((file) => {
+            fs.unlinkSync(file);
+            if (this.log) {
+                this.log.warn(`Deleted dead-letter file ${file}, more than ${this.maxFiles} were kept`);
+            }
+        });
+    }
+
+    /**
+     * Ends the current spool file, if any.
+     *
+     * @return {Promise}
+     */
+    async _end() {
+        if (this._stream) {
+            const stream = this._stream;
+            this._stream = undefined;
+            stream.end();
+            await once(stream, 'close');
+        }
+    }
+
+    /**
+     * Waits for pending writes and closes the current spool file.
+     *
+     * @return {Promise}
+     */
+    close() {
+        return this._chain(() => this._end());
+    }
+
+    /**
+     * Spools every event processed by eventGate that ends with one of this.statuses.
+     * Failures to write to the spool are logged.  The spool is closed when
+     * eventGate is closed.
+     *
+     * @param {EventGate} eventGate
+     */
+    attach(eventGate) {
+        eventGate.onClose(() => this.close());
+        eventGate.on('error', (eventStatus, context) => {
+            if (!this.statuses.includes(eventStatus.status)) {
+                return;
+            }
+            this.write(eventStatus, context).catch((err) => {
+                if (this.log) {
+                    this.log.error({ err }, `Failed writing dead-letter record: ${err.message}`);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Reads the dead-letter records in a spool file.  Lines that are not valid JSON
+ * are skipped, e.g. a partial last line if EventGate was killed while writing it.
+ *
+ * @param {string} file
+ * @param {Object} log If given, skipped lines are logged here.
+ * @return {Promise<Array<Object>>}
+ */
+async function readDeadLetterFile(file, log) {
+    const records = [];
+    const lines = readline.createInterface({
+        input: fs.createReadStream(file),
+        crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (_.isEmpty(line.trim())) {
+            continue;
+        }
+        try {
+            records.push(JSON.parse(line));
+        } catch (err) {
+            if (log) {
+                log.warn(`Skipping invalid dead-letter record at ${file}:${lineNumber}`);
+            }
+        }
+    }
+    return records;
+}
+
+module.exports = {
+    DeadLetterSpool,
+    makeDeadLetterRecord,
+    readDeadLetterFile
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+const _ = require('lodash');
+
+const {
+    EventStatus
+} = require('./eventgate');
+
+EventStatus.register('duplicate', { accepted: true });
+// Duplicates of events that are still being processed are not accepted, as the
+// first copy might still fail.  Clients should retry them.
+EventStatus.register('duplicate_pending', {
+    httpStatus: 409,
+    description: 'duplicates of events still being processed'
+});
+
+/**
+ * Seconds after which clients may retry duplicate_pending events.
+ */
+const DUPLICATE_PENDING_RETRY_AFTER_SECONDS = 1;
+
+const DEDUP_STAGE_NAME = 'dedup';
+
+/**
+ * A dedup store remembers keys for some time.  Any object that implements
+ * add(key) and delete(key) (either may return a Promise) can be used as a
+ * dedup store, e.g. one backed by a shared cache.
+ *
+ * MemoryDedupStore is an in-memory dedup store that remembers at most maxKeys
+ * keys for ttlMs milliseconds after they were first added.  If more than
+ * maxKeys are added, the least recently added keys are evicted first.
+ */
+class MemoryDedupStore {
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {number} options.maxKeys Maximum number of keys to remember. Default: 100000
+     * @param {number} options.ttlMs Milliseconds to remember each key for. Default: 60000
+     */
+    constructor(options = {}) {
+        this.maxKeys = _.get(options, 'maxKeys', 100000);
+        this.ttlMs = _.get(options, 'ttlMs', 60000);
+        // Map of key -> expiry timestamp.  Maps iterate in insertion order,
+        // so the first key is always the least recently added one.
+        this._keys = new Map();
+    }
+
+    /**
+     * Adds key to the store.
+     *
+     * @param {string} key
+     * @return {boolean} true if key was added, false if it was already in the store.
+     */
+    add(key) {
+        const now = Date.now();
+        const expiresAt = this._keys.get(key);
+        if (!_.isUndefined(expiresAt) && expiresAt > now) {
+            return false;
+        }
+
+        // Re-insert expired keys, so that they are moved to the end of the Map.
+        this._keys.delete(key);
+        this._keys.set(key, now + this.ttlMs);
+        this._evict(now);
+        return true;
+    }
+
+    /**
+     * Removes key from the store.
+     *
+     * @param {string} key
+     */
+    delete(key) {
+        this._keys.delete(key);
+    }
+
+    /**
+     * Number of keys currently in the store.  This may include expired keys
+     * that have not yet been evicted.
+     *
+     * @return {number}
+     */
+    get size() {
+        return this._keys.size;
+    }
+
+    /**
+     * Removes expired keys and least recently added keys over maxKeys.
+     *
+     * @param {number} now
+     */
+    _evict(now) {
+        for (const [key, expiresAt] of this._keys) {
+            if (expiresAt > now && this._keys.size <= this.maxKeys) {
+                break;
+            }
+            this._keys.delete(key);
+        }
+    }
+}
+
+/**
+ * Creates an EventGate stage that gives events whose id has already been seen
+ * recently a 'duplicate' EventStatus, rather than letting them be produced again.
+ * If an event ends up with an 'error' EventStatus after the dedup stage has seen it,
+ * its id is removed from the store, so that the event can be retried.  Ids of events
+ * that timed out are kept, as they might still be produced.
+ *
+ * Until the event that added an id to the store is finished, events with the same id
+ * get a 'duplicate_pending' EventStatus instead, which is not accepted, so that they
+ * are retried in case the first event fails.  This is only known for events
+ * processed by this stage, not for events whose id was added to a shared store elsewhere.
+ *
+ * Only one event at a time can hold a pending id, and every other event with that id
+ * gets its final status from this stage.  So an event that finishes with a status decided
+ * by any other step is the one that added its id, even if later stages replaced it
+ * with a copy.  Later stages must not change event ids.
+ *
+ * @param {Object} options
+ * @param {function(Object, Object): string} options.extractId
+ *      Returns an event's id.  Events without an id are never considered duplicates.
+ * @param {Object} options.store
+ *      A dedup store, e.g. a MemoryDedupStore.
+ * @param {Object} options.log
+ *      If given, duplicate events will be logged here.
+ * @return {Object} stage with name, fn and onStatus functions.
+ */
+function makeDedupStage(options) {
+    const extractId = options.extractId;
+    const store = options.store;
+
+    function extractKey(event, context) {
+        try {
+            const id = extractId(event, context);
+            return _.isNil(id) ? undefined : String(id);
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    // Keys that events passing this stage added to the store, until these events finish.
+    const pending = new Set();
+
+    return {
+        name: DEDUP_STAGE_NAME,
+
+        fn: async (event, context = {}) => {
+            const key = extractKey(event, context);
+            if (_.isUndefined(key)) {
+                return event;
+            }
+            if (await store.add(key)) {
+                pending.add(key);
+                return event;
+            }
+
+            if (pending.has(key)) {
+                if (options.log) {
+                    options.log.debug(
+                        `Event with id ${key} is a duplicate of an event that is still ` +
+                        'being processed, it will not be produced.'
+                    );
+                }
+                return new EventStatus(
+                    'duplicate_pending',
+                    {
+                        message: `Event with id ${key} is still being processed, retry it later`,
+                        id: key,
+                        retry_after_seconds: DUPLICATE_PENDING_RETRY_AFTER_SECONDS
+                    },
+                    event
+                );
+            }
+
+            if (options.log) {
+                options.log.debug(`Event with id ${key} is a duplicate, it will not be produced.`);
+            }
+            return new EventStatus(
+                'duplicate',
+                { message: `Event with id ${key} was already received`, id: key },
+                event
+            );
+        },
+
+        onStatus: (eventStatus, context = {}) => {
+            // Events whose status was decided by this stage did not add their key.
+            const key = extractKey(eventStatus.event, context);
+            if (
+                _.isUndefined(key) ||
+                eventStatus.stage === DEDUP_STAGE_NAME ||
+                !pending.has(key)
+            ) {
+                return undefined;
+            }
+            pending.delete(key);
+            // Release the id if the event failed, so that it can be retried.
+            if (eventStatus.status === 'error') {
+                return store.delete(key);
+            }
+            return undefined;
+        }
+    };
+}
+
+module.exports = {
+    MemoryDedupStore,
+    makeDedupStage
+};
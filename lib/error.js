@@ -1,5 +1,7 @@
 'use strict';
 
+const _ = require('lodash');
+
 /**
  * Error class that takes extra context object and copies
  * The object's keys to itself.  This makes wrapping
@@ -30,6 +32,97 @@ class ContextualError extends Error {
     }
 }
 
+/**
+ * Ajv error params that hold the value a keyword expected, in order of preference.
+ */
+const EXPECTED_PARAMS = ['type', 'allowedValues', 'allowedValue', 'pattern', 'format', 'limit'];
+
+/**
+ * Escapes a property name for use as a JSON Pointer (RFC 6901) reference token.
+ *
+ * @param {string|number} token
+ * @return {string}
+ */
+function escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Converts an Ajv error dataPath to a JSON Pointer.  dataPath is either already
+ * a JSON Pointer (if Ajv's jsonPointers option is set), or a JavaScript property
+ * access path, e.g. .meta.id, [0] or ['some-key'].
+ *
+ * @param {string} dataPath
+ * @return {string}
+ */
+function dataPathToPointer(dataPath) {
+    if (!dataPath || dataPath.startsWith('/')) {
+        return dataPath || '';
+    }
+
+    const tokens = [];
+    const tokenRegex = /\.([^.[]+)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]/g;
+    let match;
+    while ((match = tokenRegex.exec(dataPath)) !== null) {
+        const quoted = _.isUndefined(match[3]) ? undefined : match[3].replace(/\\(.)/g, '$1');
+        tokens.push(_.find([match[1], match[2], quoted], _.isString));
+    }
+    return tokens.map((token) => `/${escapePointerToken(token)}`).join('');
+}
+
+/**
+ * Returns the value at a JSON Pointer in data, or undefined if there is none.
+ *
+ * @param {Object} data
+ * @param {string} pointer
+ * @return {any}
+ */
+function valueAtPointer(data, pointer) {
+    if (pointer === '') {
+        return data;
+    }
+    const path = pointer.split('/').slice(1).map((token) => {
+        return token.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+    return _.get(data, path);
+}
+
+/**
+ * Normalizes an Ajv error into a validation failure.  The pointer of a missing or an
+ * additional property points at that property, rather than at the object that
+ * should (not) have it.  Errors may set expected and actual themselves,
+ * e.g. errors that are not made by Ajv.
+ *
+ * @param {Object} error Ajv error.
+ * @param {Object} event the event that failed validation.
+ * @return {Object} { pointer, keyword, schema_path, expected, actual, message }
+ */
+function normalizeValidationError(error, event) {
+    const params = error.params || {};
+    let pointer = dataPathToPointer(error.dataPath);
+    const property = _.find([params.missingProperty, params.additionalProperty], _.isString);
+    if (!_.isUndefined(property)) {
+        pointer = `${pointer}/${escapePointerToken(property)}`;
+    }
+
+    let expected = error.expected;
+    if (!_.has(error, 'expected')) {
+        const expectedParam = _.find(EXPECTED_PARAMS, (param) => _.has(params, param));
+        expected = params.comparison ?
+            `${params.comparison} ${params.limit}` :
+            params[expectedParam];
+    }
+
+    return _.omitBy({
+        pointer,
+        keyword: error.keyword,
+        schema_path: error.schemaPath,
+        expected,
+        actual: _.has(error, 'actual') ? error.actual : valueAtPointer(event, pointer),
+        message: error.message
+    }, _.isUndefined);
+}
+
 /**
  * Should be thrown when an event fails schema validation.
  * This is caught by EventGate to classify event process status.
@@ -38,14 +131,40 @@ class ValidationError extends ContextualError {
     /**
      * @param {string} message about what caused the invalid error
      * @param {Array} errors AJV errors that caused event validation to fail
+     * @param {Object} context extra properties to copy to this error
      */
-    constructor(message, errors) {
-        super(message);
+    constructor(message, errors, context) {
+        super(message, context);
         this.errors = errors;
         this.errorsText = errors.map((err) => `'${err.dataPath}' ${err.message}`).join(', ');
     }
+
+    /**
+     * Returns this.errors as normalized validation failures, each with a JSON Pointer
+     * to the invalid value in event, the failed schema keyword and its schema path,
+     * the expected and actual values (if known) and a message.
+     *
+     * @param {Object} event the event that failed validation.
+     * @return {Array<Object>}
+     *      of { pointer, keyword, schema_path, expected, actual, message }
+     */
+    failures(event) {
+        return this.errors.map((error) => normalizeValidationError(error, event));
+    }
 }
 
+/**
+ * Thrown if an event's destination stream is not present in stream config.
+ * This is a ValidationError, so the event will be considered invalid.
+ */
+class UnknownStreamError extends ValidationError {}
+
+/**
+ * Thrown if an event's schema is not allowed in its destination stream.
+ * This is a ValidationError, so the event will be considered invalid.
+ */
+class UnauthorizedSchemaForStreamError extends ValidationError {}
+
 /**
  * Thrown if an event's schema cannot be loaded.
  */
@@ -56,6 +175,41 @@ class EventSchemaLoadError extends ContextualError {}
  */
 class EventSchemaUriMissingError extends ContextualError {}
 
+/**
+ * Thrown if a step of event processing, e.g. schema loading, validation or produce,
+ * does not complete within its configured timeout.
+ */
+class EventTimeoutError extends ContextualError {}
+
+/**
+ * Thrown by EventGate process if processing more events would exceed
+ * the maximum number of events allowed to be in flight at once.
+ */
+class EventGateOverloadedError extends ContextualError {}
+
+/**
+ * Returned by the default EventGate's routed produce if an event matches no route.
+ */
+class UnroutableEventError extends ContextualError {}
+
+/**
+ * Returned by the default EventGate's routed produce if producing an event to
+ * any of its required sinks failed.  sinks has the result of each sink,
+ * and causes has the Errors of the failed required sinks.
+ */
+class SinkProduceError extends ContextualError {}
+
+/**
+ * Thrown by a CircuitBreaker instead of calling its function while the circuit is open.
+ */
+class CircuitOpenError extends ContextualError {}
+
+/**
+ * Thrown by EventGate process once the EventGate is closing.  This is an
+ * EventGateOverloadedError, so that clients are told to retry later.
+ */
+class EventGateClosingError extends EventGateOverloadedError {}
+
 /**
  * Thrown by the event-utils objectGet function.
  */
@@ -68,8 +222,16 @@ class MissingFieldError extends Error {}
 
 module.exports = {
     ValidationError,
+    UnknownStreamError,
+    UnauthorizedSchemaForStreamError,
     EventSchemaLoadError,
     EventSchemaUriMissingError,
+    EventTimeoutError,
+    EventGateOverloadedError,
+    EventGateClosingError,
+    UnroutableEventError,
+    SinkProduceError,
+    CircuitOpenError,
     PropertyNotFoundError,
     MissingFieldError
 };
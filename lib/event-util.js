@@ -1,6 +1,8 @@
 'use strict';
 
 const _        = require('lodash');
+const P        = require('bluebird');
+const path     = require('path');
 
 const {
     PropertyNotFoundError,
@@ -96,9 +98,63 @@ function stringMatches(subject, pattern) {
     }
 }
 
+/**
+ * Returns a Promise that resolves like promise, but rejects with the Error returned by
+ * makeError if promise does not settle within ms milliseconds.
+ * If ms is not a positive finite number, no timeout is applied.
+ *
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {function(): Error} makeError
+ * @return {Promise}
+ */
+function withTimeout(promise, ms, makeError) {
+    if (!_.isFinite(ms) || ms <= 0) {
+        return P.resolve(promise);
+    }
+    return P.resolve(promise).timeout(ms).catch(P.TimeoutError, () => {
+        throw makeError();
+    });
+}
+
+/**
+ * Directory that relative module paths given to requireRelative are resolved against.
+ * This is routes/, where eventgate_factory_module has always been required from,
+ * so that configured module paths like ./my-factory keep resolving to the same file.
+ */
+const RELATIVE_MODULE_DIRECTORY = path.resolve(__dirname, '..', 'routes');
+
+/**
+ * Given module path m, this will attempt to require it
+ * with the extra paths at the end of module.paths.
+ * module.paths will be unmodified when this function returns.
+ *
+ * Relative module paths (./ or ../) are resolved against the routes/ directory,
+ * not against this file's directory, see RELATIVE_MODULE_DIRECTORY.
+ *
+ * @param {string} m
+ * @param {Array<string>} paths list of extra paths to search for module.
+ * @return {any}
+ */
+function requireRelative(m, paths = [process.cwd()]) {
+    if (m.startsWith('./') || m.startsWith('../')) {
+        m = path.resolve(RELATIVE_MODULE_DIRECTORY, m);
+    }
+
+    const originalModulePaths = module.paths;
+    module.paths = originalModulePaths.concat(_.compact(paths));
+    try {
+        return require(m);
+    } finally {
+        module.paths = originalModulePaths;
+    }
+}
+
 module.exports = {
     objectGet,
     objectFindAndGet,
     makeExtractField,
-    stringMatches
+    stringMatches,
+    withTimeout,
+    requireRelative
 };
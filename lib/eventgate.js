@@ -3,17 +3,74 @@
 const _      = require('lodash');
 const P      = require('bluebird');
 const bunyan = require('bunyan');
+const EventEmitter = require('events');
 
 /**
  * ValidationError is expected to be thrown during event validation.
  */
-const ValidationError = require('./error').ValidationError;
+const {
+    ValidationError,
+    EventTimeoutError,
+    EventGateOverloadedError,
+    EventGateClosingError
+} = require('./error');
+
+const {
+    withTimeout
+} = require('./event-util');
+
+/**
+ * Fields of produce results (e.g. Kafka delivery reports, or the per sink results of
+ * the default EventGate) that are safe to return in HTTP responses.
+ */
+const SAFE_PRODUCE_RESULT_FIELDS = [
+    'status',
+    'message',
+    'topic',
+    'partition',
+    'offset',
+    'timestamp',
+    'fallback_sink'
+];
+
+/**
+ * Returns only the SAFE_PRODUCE_RESULT_FIELDS of a produce result.  Arrays of results
+ * and per sink results in sinks are handled too.  Anything else, e.g. Buffers or
+ * producer internals, is left out.
+ *
+ * @param {*} produceResult
+ * @return {Object|Array|undefined}
+ */
+function safeProduceResult(produceResult) {
+    if (_.isArray(produceResult)) {
+        return produceResult.map(safeProduceResult);
+    }
+    if (!_.isPlainObject(produceResult)) {
+        return undefined;
+    }
+
+    const safeResult = _.pick(produceResult, SAFE_PRODUCE_RESULT_FIELDS);
+    if (_.isPlainObject(produceResult.sinks)) {
+        safeResult.sinks = _.mapValues(produceResult.sinks, safeProduceResult);
+    }
+    return safeResult;
+}
+
+/**
+ * EventStatus types registered with EventStatus.register(), keyed by status.
+ */
+const STATUS_TYPES = new Map();
 
 /**
  * Represents an EventGate process status result.
  * Each event passed to EventGate process() will map
  * to an final EventStatus.  If the status is a failure
  * this.context should contain the Error.
+ *
+ * The possible statuses are registered with EventStatus.register().  Besides the
+ * statuses registered here, modules that make EventStatuses of their own, e.g. lib/dedup.js,
+ * register them when they are required.  Each status type declares if its events
+ * are accepted, and which HTTP status to respond with if events fail with it.
  */
 class EventStatus {
     /**
@@ -30,18 +87,42 @@ class EventStatus {
         this.status = status;
         this.context = context;
         this.event = event;
+        // Name of the stage that decided this status.  Set by EventGate.
+        this.stage = undefined;
+        // Number of produce attempts, if EventGate retried producing this event.
+        this.attempts = undefined;
+        // Timings of processing this event.  Set by EventGate.
+        this.timings = undefined;
+        // Index of this event in the events given to EventGate process().  Set by EventGate.
+        this.index = undefined;
+        // A copy of the event as it was given to EventGate process(), before any stage
+        // or validation transformed it.  Set by EventGate.
+        this.receivedEvent = undefined;
     }
 
     /**
      * Will be called if returned in an HTTP response body.
      * If this.context is an Error, it will be cleaned up
      * so that internal details are not potentially exposed.
+     * If this is a success, context is the produce result, and only
+     * its SAFE_PRODUCE_RESULT_FIELDS are kept.  If context is a ValidationError,
+     * its Ajv errors are kept as they are, and are also normalized with
+     * ValidationError failures() into failures.
+     * If EventGate retried producing the event, its number of produce attempts is kept.
      *
      * @return {Object}
      */
     toJSON() {
         let context;
-        if (this.context instanceof Error && !(this.context instanceof ValidationError)) {
+        if (this.status === 'success') {
+            context = safeProduceResult(this.context);
+        } else if (this.context instanceof ValidationError) {
+            context = _.assign(
+                { message: this.context.message },
+                this.context,
+                { failures: this.context.failures(this.event) }
+            );
+        } else if (this.context instanceof Error) {
             // If context is an Error but not an ValidationError, then
             // only return context with the error message.
             context = {
@@ -54,29 +135,108 @@ class EventStatus {
 
         return {
             status: this.status,
+            index: this.index,
+            attempts: this.attempts,
             event: this.event,
             context
         };
     }
+
+    /**
+     * Registers a possible status.  Registering a status again with the same
+     * type does nothing, so that modules may register the statuses they use.
+     *
+     * @param {string} status
+     * @param {Object} type
+     * @param {boolean} type.accepted
+     *      If true, events with this status count as accepted (a success) even if they
+     *      were not produced.  Else they count as failed.  Default: false
+     * @param {number} type.httpStatus
+     *      HTTP status to respond with if all failed events of a request have this status.
+     *      Only used for failure statuses.  Default: 500
+     * @param {string} type.description
+     *      Describes events with this status in HTTP status messages, e.g. 'timed out'.
+     *      Default: status, with underscores replaced by spaces.
+     * @return {Object} the registered type.
+     * @throws {Error} if status is already registered with a different type.
+     */
+    static register(status, type = {}) {
+        const statusType = {
+            status,
+            accepted: _.get(type, 'accepted', false),
+            httpStatus: _.get(type, 'httpStatus', 500),
+            description: _.get(type, 'description', status.replace(/_/g, ' '))
+        };
+
+        const registeredType = STATUS_TYPES.get(status);
+        if (registeredType) {
+            if (!_.isEqual(registeredType, statusType)) {
+                throw new Error(`EventStatus ${status} is already registered with another type`);
+            }
+            return registeredType;
+        }
+
+        STATUS_TYPES.set(status, statusType);
+        EventStatus.STATUSES.push(status);
+        return statusType;
+    }
+
+    /**
+     * Returns the registered type of status.
+     *
+     * @param {string} status
+     * @return {Object} { status, accepted, httpStatus, description }
+     */
+    static type(status) {
+        return STATUS_TYPES.get(status);
+    }
 }
 /**
- * 'static' 'enum' constant for possible status types.
+ * 'static' constant for produce result fields returned by toJSON.
  */
-EventStatus.STATUSES = [
-    'success',
-    'error',
-    'invalid'
-];
+EventStatus.SAFE_PRODUCE_RESULT_FIELDS = SAFE_PRODUCE_RESULT_FIELDS;
+/**
+ * 'static' 'enum' of possible statuses, in the order they were registered.
+ */
+EventStatus.STATUSES = [];
+
+EventStatus.register('success', { accepted: true, description: 'produced' });
+EventStatus.register('error', { httpStatus: 500, description: 'errored' });
+EventStatus.register('invalid', { httpStatus: 400 });
+EventStatus.register('dropped', { accepted: true });
+EventStatus.register('timeout', { httpStatus: 504, description: 'timed out' });
 
 const defaultOptions = {
     eventRepr: (event, context) => { return 'event'; },
     mapToErrorEvent: undefined,
+    // If true, process() will wait for error events to be produced before resolving.
+    awaitErrorEvents: false,
+    // Maximum number of events processed concurrently per process() call.
+    concurrency: Infinity,
+    // Maximum number of events being processed at once across all process() calls.
+    maxInFlight: Infinity,
+    // Milliseconds after which validate() and produce() calls time out.
+    validateTimeout: undefined,
+    produceTimeout: undefined,
+    // If set, failed produce() calls will be retried according to this RetryPolicy.
+    produceRetry: undefined,
+    // If set, events with the same ordering key will be processed sequentially.
+    orderingKey: undefined,
     // This logger will be used if one is not provided to EventValidator constructor.
     log: bunyan.createLogger(
         { name: 'EventGate', src: true, level: 'info' }
     )
 };
 
+/**
+ * Phases at which stages may be added to an EventGate, in the order in which they are run.
+ */
+const STAGE_PHASES = [
+    'preValidate',
+    'postValidate',
+    'preProduce'
+];
+
 /**
  * An EventGate asynchronously validates and produces a list of events.
  * The validate function and produce function implementations are passed
@@ -84,6 +244,16 @@ const defaultOptions = {
  * the validated event or throws an ValidationError, and that produce returns a
  * Promise of a produced event result or throws an Error.
  *
+ * If an orderingKey function is provided, events with the same ordering key are
+ * validated and produced one after the other, in the order in which they were given
+ * to process(), even across concurrent process() calls.  Events with different
+ * (or undefined) ordering keys are still processed concurrently.
+ *
+ * If a produceBatch function is provided, all events of a process() call that
+ * pass validation will be produced together with a single produceBatch call
+ * instead of a produce call per event.  With an orderingKey function, this is a
+ * produceBatch call per ordering key.
+ *
  * Once finished, events will be returned grouped by their status.
  *
  * If the mapToErrorEvent function is provided, it will be used to map
@@ -97,10 +267,44 @@ const defaultOptions = {
  * If mapToErrorEvent returns null for a given error, no error event will be
  * produced for the error & event.
  *
- * Errors encountered during error event processing will not be handled
- * (but they will be logged).
+ * Error events are produced in the background after process() resolves,
+ * unless awaitErrorEvents is true.  Errors encountered during error event
+ * processing will be logged and counted in errorEventCounts, but error events
+ * are never mapped to further error events.  An EventGate is an EventEmitter,
+ * and emits 'errorEventProduced' and 'errorEventFailed' with the error event's
+ * EventStatus, the failed EventStatus it was mapped from and the context.
+ *
+ * For every (non error) event it processes, an EventGate also emits these lifecycle events:
+ * - 'received' (event, context, timings) when processing of the event starts.
+ * - 'validated' (event, context, timings) when the event passed validation.
+ * - 'produced' (eventStatus, context, timings) when the event was produced.
+ * - 'invalid' (eventStatus, context, timings) when the event was invalid.
+ * - 'error' (eventStatus, context, timings) when the event ended with an
+ *   'error' or 'timeout' status.  This is only emitted if there are 'error' listeners,
+ *   so that an EventGate without them does not throw.
+ * timings is an object with startedAt (a millisecond timestamp), and validateMs, produceMs
+ * and totalMs once known.  It is also set as the final EventStatus' timings.
+ * Errors thrown by listeners are logged and otherwise ignored.
+ *
+ * Stages are middleware-like functions that are run on each event at the
+ * phases in STAGE_PHASES: before validation, after validation and before produce.
+ * A stage takes an event and context, and returns (a Promise of) either:
+ * - an event, possibly transformed, that will be passed on to the next step,
+ * - null, which drops the event with a 'dropped' EventStatus,
+ * - an EventStatus, which ends processing of the event with that status.
+ * If a stage throws a ValidationError the event will be 'invalid', any other
+ * Error results in an 'error' EventStatus.  The resulting EventStatus' stage
+ * property will be set to the name of the stage (or 'validate' or 'produce')
+ * which decided the event's final status.
+ * A stage object may also have an onStatus function.  This will be called with
+ * the event's final EventStatus for every event that the stage was run on.
+ *
+ * close() shuts an EventGate down: process() rejects any new events, events that
+ * are in flight are drained until a deadline, and then the optional close()
+ * functions of produce, produceBatch and stages, as well as any functions
+ * registered with onClose(), are called, e.g. to flush and close sinks.
  */
-class EventGate {
+class EventGate extends EventEmitter {
 
     // Define function params for JSDoc
     /**
@@ -119,6 +323,16 @@ class EventGate {
      * @return {Promise<Object>}
      */
 
+    /**
+     * @name EventGate~produceBatch
+     * @method
+     * @param {Array<Object>} events
+     * @param {Object} context
+     * @return {Promise<Array>}
+     *      of a produce result or an Error for each event, in the same order as events.
+     *      Each element may also be a Promise of the event's produce result.
+     */
+
     /**
      * @name EventGate~eventRepr
      * @method
@@ -127,6 +341,14 @@ class EventGate {
      * @return {string}
      */
 
+    /**
+     * @name EventGate~orderingKey
+     * @method
+     * @param {Object} event
+     * @param {Object} context
+     * @return {string|undefined}
+     */
+
     /**
      * @name EventGate~mapToErrorEvent
      * @method
@@ -136,13 +358,37 @@ class EventGate {
      * @return {Object}
      */
 
+    /**
+     * @name EventGate~stage
+     * @method
+     * @param {Object} event
+     * @param {Object} context
+     * @return {Promise<Object|EventStatus|null>}
+     */
+
+    /**
+     * @name EventGate~onStatus
+     * @method
+     * @param {EventStatus} eventStatus
+     * @param {Object} context
+     * @return {Promise|undefined}
+     */
+
     /**
      * @constructor
      * @param {Object} options
      * @param {EventGate~validate} options.validate
      *      (event, context) => event  (REQUIRED).
      * @param {EventGate~produce} options.produce
-     *      (event, context) => result  (REQUIRED).
+     *      (event, context) => result  (REQUIRED, unless produceBatch is given).
+     * @param {EventGate~produceBatch} options.produceBatch
+     *      (events, context) => results.  If given, all events of a process() call
+     *      that are ready to be produced will be passed to produceBatch at once,
+     *      instead of calling produce for each event.  produceBatch should return an
+     *      Array with a produce result, or an Error if the event failed, for each event.
+     *      Results may also be Promises, in which case each event is produced (or fails,
+     *      or times out) as soon as its Promise settles.
+     *      If produceBatch throws, all of the events will fail with that Error.
      * @param {EventGate~eventRepr} options.eventRepr
      *      (event, context) => string representation of event, used for logging
      * @param {Object} options.log
@@ -153,57 +399,789 @@ class EventGate {
      *      objects from the offending original event that caused the error and the Error.
      *      If this is given, these error events will be produced asynchronously.
      *      If the map function returns null, no error event will be produced.
+     * @param {boolean} options.awaitErrorEvents
+     *      If true, process() will not resolve until error events have been produced.
+     *      Default: false.
+     * @param {Object<Array>} options.stages
+     *      Stages keyed by phase (one of STAGE_PHASES).  Each stage is either a
+     *      EventGate~stage function, or an object with name and fn properties.
+     * @param {number} options.concurrency
+     *      Maximum number of events of a single process() call that will be
+     *      processed concurrently.  Default: Infinity.
+     * @param {number} options.maxInFlight
+     *      Maximum number of events that may be in flight across all process() calls.
+     *      process() will reject with an EventGateOverloadedError if given more events
+     *      than this allows.  A batch larger than maxInFlight is still accepted if
+     *      no other events are in flight.  Default: Infinity.
+     * @param {number} options.validateTimeout
+     *      If set, events for which validate() does not complete within this many
+     *      milliseconds will get a 'timeout' EventStatus.
+     * @param {number} options.produceTimeout
+     *      If set, events for which produce() does not complete within this many
+     *      milliseconds will get a 'timeout' EventStatus.  NOTE: such events might
+     *      still end up being produced after the timeout, so by default RetryPolicy
+     *      does not retry them.  If produceRetry is set, this applies to each produce
+     *      attempt.  With produceBatch, each event of a produceBatch call times out on
+     *      its own if produceBatch resolves with a Promise for each event's result.
+     * @param {RetryPolicy} options.produceRetry
+     *      If set, failed produce() calls will be retried according to this RetryPolicy.
+     *      The number of produce attempts will be set as the resulting EventStatus'
+     *      attempts, and as the attempts property of its context if it is an Error.
+     *      With produceBatch, only events that failed with a retryable Error are retried.
+     * @param {EventGate~orderingKey} options.orderingKey
+     *      (event, context) => key.  If set, events with the same key will be processed
+     *      sequentially in submission order.  With produceBatch, the events of a process()
+     *      call are split by key, and each key's events are passed to their own
+     *      produceBatch call in submission order, once earlier events with that key are
+     *      finished.  produceBatch should then produce them one after the other.
      */
     constructor(options = {}) {
+        super();
         _.defaults(this, options, defaultOptions);
 
         if (_.isUndefined(this.validate)) {
             throw new Error('Cannot instantiate EventGate, must provide a validate function');
         }
-        if (_.isUndefined(this.produce)) {
-            throw new Error('Cannot instantiate EventGate, must provide a produce function');
+        if (_.isUndefined(this.produce) && _.isUndefined(this.produceBatch)) {
+            throw new Error(
+                'Cannot instantiate EventGate, must provide a produce or produceBatch function'
+            );
         }
+
+        const stages = this.stages || {};
+        this.stages = {};
+        STAGE_PHASES.forEach((phase) => {
+            this.stages[phase] = [];
+        });
+        _.each(stages, (phaseStages, phase) => {
+            phaseStages.forEach((stage) => this.addStage(phase, stage));
+        });
+
+        // Number of events currently being processed by process().
+        this.inFlight = 0;
+        // Number of error events that were produced or failed to be produced.
+        this.errorEventCounts = { produced: 0, failed: 0 };
+        // Map of ordering key -> Promise that resolves when the last event
+        // with that key that was given to process() is finished.
+        this._orderingChains = new Map();
+        // Set once close() is called, process() rejects new events after that.
+        this.closing = false;
+        // Functions registered with onClose().
+        this._closeHandlers = [];
+        // Promises of process() calls, and of error events being produced in the
+        // background, that have not settled yet.  'drained' is emitted once this is empty.
+        this._pending = new Set();
     }
 
     /**
-     * Validates and produces event.
+     * Keeps track of promise until it settles.  Once nothing is pending anymore,
+     * 'drained' is emitted.
      *
-     * @param {Object} event
+     * @param {Promise} promise
+     * @return {Promise} promise
+     */
+    _trackPending(promise) {
+        this._pending.add(promise);
+        P.resolve(promise).catch(_.noop).finally(() => {
+            this._pending.delete(promise);
+            if (this._pending.size === 0) {
+                this.emit('drained');
+            }
+        });
+        return promise;
+    }
+
+    /**
+     * Returns true if count more events can be processed without exceeding maxInFlight,
+     * and this EventGate is not closing.
+     *
+     * @param {number} count
+     * @return {boolean}
+     */
+    hasCapacityFor(count) {
+        if (this.closing) {
+            return false;
+        }
+        return this.inFlight === 0 || this.inFlight + count <= this.maxInFlight;
+    }
+
+    /**
+     * Adds a stage to be run on every event at phase, after any stages already added
+     * to that phase.
+     *
+     * @param {string} phase One of STAGE_PHASES.
+     * @param {EventGate~stage|Object} stage
+     *      A stage function, or an object with a name, a stage function in fn,
+     *      optionally an EventGate~onStatus function in onStatus and a function
+     *      to be called by close() in close.
+     * @return {EventGate} this
+     */
+    addStage(phase, stage) {
+        if (!STAGE_PHASES.includes(phase)) {
+            throw new Error(
+                `Cannot add stage at phase ${phase}, must be one of ${STAGE_PHASES.join(', ')}`
+            );
+        }
+
+        if (_.isFunction(stage)) {
+            stage = { fn: stage };
+        }
+        if (!_.isFunction(stage.fn)) {
+            throw new Error(`Cannot add stage at phase ${phase}, must provide a stage function`);
+        }
+
+        this.stages[phase].push({
+            name: stage.name || stage.fn.name || `${phase}_${this.stages[phase].length}`,
+            fn: stage.fn,
+            onStatus: stage.onStatus,
+            close: stage.close
+        });
+        return this;
+    }
+
+    /**
+     * Runs all stages at phase on state.event, updating state.event with
+     * the event returned by each stage.
+     *
+     * @param {string} phase
+     * @param {Object} state the current event and stage name being processed.
+     * @param {Object} context
+     * @return {Promise<EventStatus|undefined>}
+     *      An EventStatus if a stage decided the event's final status, else undefined.
+     */
+    async _runStages(phase, state, context) {
+        for (const stage of this.stages[phase]) {
+            state.stage = stage.name;
+            state.stagesRun.push(stage);
+            const result = await stage.fn(state.event, context);
+
+            if (result instanceof EventStatus) {
+                return result;
+            } else if (result === null) {
+                this.log.debug(`${this.eventRepr(state.event)} was dropped by stage ${stage.name}.`);
+                return new EventStatus(
+                    'dropped',
+                    { message: `Event was dropped by stage ${stage.name}` },
+                    state.event
+                );
+            } else if (_.isUndefined(result)) {
+                throw new Error(
+                    `Stage ${stage.name} returned undefined, ` +
+                    'it must return an event, null or an EventStatus'
+                );
+            }
+
+            state.event = result;
+        }
+        return undefined;
+    }
+
+    /**
+     * Runs event through all stages and validates it, stopping right before produce.
+     *
+     * @param {Object} state the current event and stage name being processed.
+     * @param {Object} context
+     * @return {Promise<EventStatus|undefined>}
+     *      An EventStatus if the event's final status was decided before produce,
+     *      else undefined if the event should be produced.
+     */
+    async _runUntilProduce(state, context) {
+        let eventStatus = await this._runStages('preValidate', state, context);
+        if (eventStatus) {
+            return eventStatus;
+        }
+
+        this.log.trace({ event: state.event }, `Validating ${this.eventRepr(state.event)}...`);
+        // validate() will validate event against the schema found at the
+        // schema URL returned by schemaUrlExtractor, and then return the event.
+        // The event may be modified; e.g. if the schema has a default for a field
+        // but the event doesn't have it set. If the event failed validation,
+        // an ValidationError will be thrown.
+        state.stage = 'validate';
+        const validateStart = Date.now();
+        state.event = await withTimeout(
+            this.validate(state.event, context),
+            this.validateTimeout,
+            () => new EventTimeoutError(
+                `Validation did not complete within ${this.validateTimeout} ms`,
+                { timeout: this.validateTimeout }
+            )
+        );
+        state.timings.validateMs = Date.now() - validateStart;
+        this._emitLifecycle(state, 'validated', state.event, context, state.timings);
+
+        eventStatus = await this._runStages('postValidate', state, context);
+        if (eventStatus) {
+            return eventStatus;
+        }
+        return this._runStages('preProduce', state, context);
+    }
+
+    /**
+     * Runs event through all stages, validates and produces it.
+     *
+     * @param {Object} state the current event and stage name being processed.
      * @param {Object} context
      * @return {Promise<EventStatus>}
      */
-    async _processEvent(event, context = {}) {
-        this.log.trace({ event }, `Validating ${this.eventRepr(event)}...`);
-        try {
-            // validate() will validate event against the schema found at the
-            // schema URL returned by schemaUrlExtractor, and then return the event.
-            // The event may be modified; e.g. if the schema has a default for a field
-            // but the event doesn't have it set. If the event failed validation,
-            // an ValidationError will be thrown.
-            const validEvent = await this.validate(event, context);
-            // Now produce the validated event.
-            this.log.trace(
-                { event },
-                `${this.eventRepr(event)} passed schema validation, producing...`
+    async _runPipeline(state, context) {
+        const eventStatus = await this._runUntilProduce(state, context);
+        if (eventStatus) {
+            return eventStatus;
+        }
+
+        // Now produce the validated event.
+        this.log.trace(
+            { event: state.event },
+            `${this.eventRepr(state.event)} passed schema validation, producing...`
+        );
+        state.stage = 'produce';
+        const produceStart = Date.now();
+        const produceResult = await this._produce(state, context);
+        state.timings.produceMs = Date.now() - produceStart;
+        // all went fine, return a success status
+        return new EventStatus('success', produceResult, state.event);
+    }
+
+    /**
+     * Produces state.event, retrying with produceRetry if it is set.
+     * The number of produce attempts is set in state.attempts.
+     *
+     * @param {Object} state the current event and stage name being processed.
+     * @param {Object} context
+     * @return {Promise<Object>} produce result
+     */
+    async _produce(state, context) {
+        const produceAttempt = (attempt) => {
+            state.attempts = attempt;
+            if (attempt > 1) {
+                this.log.warn(
+                    `Retrying produce of ${this.eventRepr(state.event)}, attempt ${attempt}.`
+                );
+            }
+            return withTimeout(
+                this.produce(state.event, context),
+                this.produceTimeout,
+                () => new EventTimeoutError(
+                    `Produce did not complete within ${this.produceTimeout} ms`,
+                    { timeout: this.produceTimeout }
+                )
+            );
+        };
+
+        if (!this.produceRetry) {
+            return produceAttempt(1);
+        }
+        return (await this.produceRetry.run(produceAttempt)).result;
+    }
+
+    /**
+     * Produces the events of states with a single produceBatch call, and retries
+     * events that failed with a retryable Error if produceRetry is set.
+     * The number of produce attempts of each event is set in its state.attempts.
+     *
+     * @param {Array<Object>} states
+     * @param {Object} context
+     * @return {Promise<Array>} of a produce result or an Error for each of states.
+     */
+    async _produceBatch(states, context) {
+        const results = new Array(states.length);
+        // Indexes of the states that still need to be produced.
+        let pending = _.range(states.length);
+
+        const produceAttempt = async (attempt) => {
+            if (attempt > 1) {
+                this.log.warn(`Retrying produce of ${pending.length} events, attempt ${attempt}.`);
+            }
+            pending.forEach((i) => {
+                states[i].attempts = attempt;
+            });
+
+            // Each event of this attempt must be produced within produceTimeout.
+            const deadline = Date.now() + this.produceTimeout;
+            const timeoutMs = () => this.produceTimeout && Math.max(deadline - Date.now(), 1);
+            const makeTimeoutError = () => new EventTimeoutError(
+                `Produce did not complete within ${this.produceTimeout} ms`,
+                { timeout: this.produceTimeout }
             );
-            const produceResult = await this.produce(validEvent, context);
-            // all went fine, return a success status
-            return new EventStatus('success', produceResult, validEvent);
+
+            let batchResults;
+            try {
+                batchResults = await withTimeout(
+                    this.produceBatch(pending.map((i) => states[i].event), context),
+                    timeoutMs(),
+                    makeTimeoutError
+                );
+                if (!_.isArray(batchResults) || batchResults.length !== pending.length) {
+                    throw new Error(
+                        `produceBatch must return an array of ${pending.length} results`
+                    );
+                }
+            } catch (err) {
+                // The whole batch failed.
+                batchResults = pending.map(() => err);
+            }
+            // Results may be promises, so that only the events that are slow to be
+            // produced time out, rather than the whole batch.
+            batchResults = await P.all(batchResults.map((result) => {
+                return withTimeout(result, timeoutMs(), makeTimeoutError).catch((err) => err);
+            }));
+
+            pending.forEach((i, j) => {
+                results[i] = batchResults[j];
+            });
+            pending = pending.filter((i) => {
+                return results[i] instanceof Error &&
+                    !!this.produceRetry && this.produceRetry.isRetryable(results[i]);
+            });
+            if (!_.isEmpty(pending)) {
+                // Let produceRetry know that this attempt should be retried.
+                throw results[pending[0]];
+            }
+        };
+
+        states.forEach((state) => {
+            state.stage = 'produce';
+        });
+        if (!this.produceRetry) {
+            await produceAttempt(1);
+        } else {
+            // Failed results have been recorded, they don't need to be handled here.
+            await this.produceRetry.run(produceAttempt).catch(_.noop);
+        }
+        return results;
+    }
+
+    /**
+     * Returns the failed EventStatus for state.event that err results in.
+     *
+     * @param {Object} state the current event and stage name being processed.
+     * @param {Error} err
+     * @return {EventStatus}
+     */
+    _failureStatus(state, err) {
+        if (err instanceof ValidationError) {
+            this.log.warn(
+                { err },
+                `${this.eventRepr(state.event)} failed schema validation.`
+            );
+            return new EventStatus('invalid', err, state.event);
+        } else if (err instanceof EventTimeoutError) {
+            this.log.error(
+                { err },
+                `${this.eventRepr(state.event)} timed out: ${err.message}`
+            );
+            return new EventStatus('timeout', err, state.event);
+        } else {
+            this.log.error(
+                { err },
+                `${this.eventRepr(state.event)} encountered an error: ${err.message}`
+            );
+            return new EventStatus('error', err, state.event);
+        }
+    }
+
+    /**
+     * Calls fn and returns its result, or the failed EventStatus for
+     * state.event if fn throws.
+     *
+     * @param {Object} state the current event and stage name being processed.
+     * @param {function(): Promise} fn
+     * @return {Promise<EventStatus|undefined>}
+     */
+    async _catchFailure(state, fn) {
+        try {
+            return await fn();
         } catch (err) {
-            if (err instanceof ValidationError) {
-                this.log.warn(
-                    { err },
-                    `${this.eventRepr(event)} failed schema validation.`
+            return this._failureStatus(state, err);
+        }
+    }
+
+    /**
+     * Records which stage decided eventStatus, and calls the onStatus function
+     * of every stage that was run on the event.
+     *
+     * @param {Object} state the current event and stage name being processed.
+     * @param {EventStatus} eventStatus the event's final EventStatus.
+     * @param {Object} context
+     * @return {Promise<EventStatus>}
+     */
+    async _finishEvent(state, eventStatus, context) {
+        // Record which stage decided this event's final status.
+        eventStatus.stage = eventStatus.stage || state.stage;
+        state.timings.totalMs = Date.now() - state.timings.startedAt;
+        eventStatus.timings = state.timings;
+        eventStatus.receivedEvent = state.receivedEvent;
+        if (this.produceRetry && state.stage === 'produce') {
+            eventStatus.attempts = state.attempts;
+            if (eventStatus.context instanceof Error) {
+                eventStatus.context.attempts = state.attempts;
+            }
+        }
+
+        // Let any stages that were run on this event know about its final status.
+        for (const stage of state.stagesRun) {
+            if (stage.onStatus) {
+                try {
+                    await stage.onStatus(eventStatus, context);
+                } catch (err) {
+                    this.log.error(
+                        { err },
+                        `Stage ${stage.name} onStatus failed for ${this.eventRepr(state.event)}`
+                    );
+                }
+            }
+        }
+
+        if (eventStatus.status === 'success') {
+            this._emitLifecycle(state, 'produced', eventStatus, context, state.timings);
+        } else if (eventStatus.status === 'invalid') {
+            this._emitLifecycle(state, 'invalid', eventStatus, context, state.timings);
+        } else if (['error', 'timeout'].includes(eventStatus.status)) {
+            this._emitLifecycle(state, 'error', eventStatus, context, state.timings);
+        }
+
+        return eventStatus;
+    }
+
+    /**
+     * Emits name with args, unless state is for an error event.
+     * Errors thrown by listeners are logged.
+     *
+     * @param {Object} state the current event and stage name being processed.
+     * @param {string} name
+     * @param {...any} args
+     */
+    _emitLifecycle(state, name, ...args) {
+        if (!state.isErrorEvent) {
+            this._emit(name, ...args);
+        }
+    }
+
+    /**
+     * Emits name with args.  'error' is only emitted if there are 'error' listeners.
+     * Errors thrown by listeners are logged.
+     *
+     * @param {string} name
+     * @param {...any} args
+     */
+    _emit(name, ...args) {
+        if (name === 'error' && this.listenerCount('error') === 0) {
+            return;
+        }
+        try {
+            this.emit(name, ...args);
+        } catch (err) {
+            this.log.error({ err }, `A ${name} listener failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * Returns the initial processing state for event, and emits 'received'.
+     *
+     * @param {Object} event
+     * @param {Object} context
+     * @param {boolean} isErrorEvent
+     * @return {Object} state
+     */
+    _newState(event, context, isErrorEvent) {
+        const state = {
+            event,
+            // Stages and validation may modify event in place, keep it as it was received.
+            receivedEvent: _.cloneDeep(event),
+            stage: undefined,
+            stagesRun: [],
+            timings: { startedAt: Date.now() },
+            isErrorEvent
+        };
+        this._emitLifecycle(state, 'received', event, context, state.timings);
+        return state;
+    }
+
+    /**
+     * Returns the ordering keys of events, without duplicates.  Events
+     * whose ordering key is undefined or cannot be extracted have no key.
+     *
+     * @param {Array<Object>} events
+     * @param {Object} context
+     * @return {Array<string>}
+     */
+    _orderingKeysOf(events, context) {
+        const keys = events.map((event) => this._orderingKeyOf(event, context));
+        return _.uniq(keys.filter((key) => !_.isUndefined(key)));
+    }
+
+    /**
+     * Returns the ordering key of event, or undefined if there is no orderingKey
+     * function or if event's ordering key is undefined or cannot be extracted.
+     *
+     * @param {Object} event
+     * @param {Object} context
+     * @return {string|undefined}
+     */
+    _orderingKeyOf(event, context) {
+        if (!this.orderingKey) {
+            return undefined;
+        }
+        try {
+            const key = this.orderingKey(event, context);
+            return _.isNil(key) ? undefined : String(key);
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Reserves the next turn to process events with the ordering keys of events.
+     * The returned wait Promise resolves once all events with any of these keys
+     * that were reserved earlier are finished.  release must be called once
+     * events are finished, to let the next events with these keys go.
+     *
+     * @param {Array<Object>} events
+     * @param {Object} context
+     * @return {Object} of { wait: Promise, release: function }
+     */
+    _reserveTurn(events, context) {
+        if (!this.orderingKey) {
+            return { wait: P.resolve(), release: _.noop };
+        }
+
+        const keys = this._orderingKeysOf(events, context);
+        const previous = keys
+            .map((key) => this._orderingChains.get(key))
+            .filter((chain) => !_.isUndefined(chain));
+
+        let resolveDone;
+        const done = new P((resolve) => {
+            resolveDone = resolve;
+        });
+        keys.forEach((key) => this._orderingChains.set(key, done));
+
+        return {
+            wait: P.all(previous),
+            release: () => {
+                resolveDone();
+                keys.forEach((key) => {
+                    // Forget about this key if no later events with it are waiting.
+                    if (this._orderingChains.get(key) === done) {
+                        this._orderingChains.delete(key);
+                    }
+                });
+            }
+        };
+    }
+
+    /**
+     * Runs stages on, validates and produces event.
+     *
+     * @param {Object} event
+     * @param {Object} context
+     * @param {boolean} isErrorEvent
+     * @return {Promise<EventStatus>}
+     */
+    async _processEvent(event, context = {}, isErrorEvent = false) {
+        const state = this._newState(event, context, isErrorEvent);
+        const eventStatus = await this._catchFailure(
+            state, () => this._runPipeline(state, context)
+        );
+        return this._finishEvent(state, eventStatus, context);
+    }
+
+    /**
+     * Splits events by their ordering key.  Once any earlier events with its key are
+     * finished, each key's events are run through stages and validated, and then all
+     * of them that are ready to be produced are produced with a single produceBatch call.
+     * Events with different keys don't wait for each other, and events
+     * without an ordering key are processed together right away.
+     *
+     * @param {Array<Object>} events
+     * @param {Object} context
+     * @param {Function} eventDone called once for each event when it is finished.
+     * @param {boolean} isErrorEvents
+     * @return {Promise<Array<EventStatus>>} in the same order as events.
+     */
+    async _processEventBatch(events, context, eventDone, isErrorEvents) {
+        // Indexes of events, keyed by their ordering key.
+        const keyIndexes = new Map();
+        events.forEach((event, i) => {
+            const key = this._orderingKeyOf(event, context);
+            if (!keyIndexes.has(key)) {
+                keyIndexes.set(key, []);
+            }
+            keyIndexes.get(key).push(i);
+        });
+
+        // Reserve every key's turn now, so that keys are processed in submission order.
+        const eventStatuses = new Array(events.length);
+        await P.all(Array.from(keyIndexes.values(), async (indexes) => {
+            const keyEvents = indexes.map((i) => events[i]);
+            const turn = this._reserveTurn(keyEvents, context);
+            await turn.wait;
+            try {
+                const keyEventStatuses = await this._processEventBatchNow(
+                    keyEvents, context, eventDone, isErrorEvents
                 );
-                return new EventStatus('invalid', err, event);
-            } else {
-                this.log.error(
-                    { err },
-                    `${this.eventRepr(event)} encountered an error: ${err.message}`
+                indexes.forEach((i, j) => {
+                    eventStatuses[i] = keyEventStatuses[j];
+                });
+            } finally {
+                turn.release();
+            }
+        }));
+        return eventStatuses;
+    }
+
+    /**
+     * Like _processEventBatch, but without waiting for earlier events with
+     * the same ordering keys.
+     *
+     * @param {Array<Object>} events
+     * @param {Object} context
+     * @param {Function} eventDone called once for each event when it is finished.
+     * @param {boolean} isErrorEvents
+     * @return {Promise<Array<EventStatus>>} in the same order as events.
+     */
+    async _processEventBatchNow(events, context, eventDone, isErrorEvents) {
+        const states = events.map((event) => this._newState(event, context, isErrorEvents));
+
+        const eventStatuses = await P.map(
+            states,
+            (state) => this._catchFailure(state, () => this._runUntilProduce(state, context)),
+            { concurrency: this.concurrency }
+        );
+
+        // Produce all events whose status has not been decided yet together.
+        const produceIndexes = _.range(states.length).filter((i) => !eventStatuses[i]);
+        if (!_.isEmpty(produceIndexes)) {
+            this.log.trace(`Producing batch of ${produceIndexes.length} events...`);
+            const produceStates = produceIndexes.map((i) => states[i]);
+            const produceStart = Date.now();
+            const produceResults = await this._produceBatch(produceStates, context);
+            produceStates.forEach((state) => {
+                state.timings.produceMs = Date.now() - produceStart;
+            });
+            produceIndexes.forEach((i, j) => {
+                eventStatuses[i] = produceResults[j] instanceof Error ?
+                    this._failureStatus(states[i], produceResults[j]) :
+                    new EventStatus('success', produceResults[j], states[i].event);
+            });
+        }
+
+        return P.map(states, (state, i) => {
+            return this._finishEvent(state, eventStatuses[i], context).finally(eventDone);
+        });
+    }
+
+    /**
+     * Processes events with produceBatch if it is set, else
+     * with _processEvent, at most concurrency at a time.
+     *
+     * @param {Array<Object>} events
+     * @param {Object} context
+     * @param {Function} eventDone called once for each event when it is finished.
+     * @param {boolean} isErrorEvents
+     *      If true, no lifecycle events will be emitted for events.
+     * @return {Promise<Array<EventStatus>>} in the same order as events.
+     */
+    _processEvents(events, context, eventDone = _.noop, isErrorEvents = false) {
+        if (this.produceBatch) {
+            return P.resolve(this._processEventBatch(events, context, eventDone, isErrorEvents));
+        }
+
+        // Reserve every event's turn now, so that events are processed
+        // in submission order even if they have to wait for concurrency.
+        const turns = events.map((event) => this._reserveTurn([event], context));
+        return P.map(
+            events,
+            (event, i) => turns[i].wait
+                .then(() => this._processEvent(event, context, isErrorEvents))
+                .finally(() => {
+                    turns[i].release();
+                    eventDone();
+                }),
+            { concurrency: this.concurrency }
+        );
+    }
+
+    /**
+     * Counts and emits the outcome of an error event.
+     *
+     * @param {EventStatus} errorEventStatus EventStatus of the error event.
+     * @param {EventStatus} failedResult the failed EventStatus the error event was mapped from.
+     * @param {Object} context
+     */
+    _errorEventDone(errorEventStatus, failedResult, context) {
+        const outcome = errorEventStatus.status === 'success' ? 'produced' : 'failed';
+        this.errorEventCounts[outcome]++;
+        this._emit(
+            outcome === 'produced' ? 'errorEventProduced' : 'errorEventFailed',
+            errorEventStatus, failedResult, context
+        );
+    }
+
+    /**
+     * Maps failedResults to error events with mapToErrorEvent and produces them.
+     * Failures of error events are never mapped to further error events.
+     * This never rejects; failures are logged, counted and emitted instead.
+     *
+     * @param {Array<EventStatus>} failedResults
+     * @param {Object} context
+     * @return {Promise<Array<EventStatus>>} of the produced error events.
+     */
+    async _produceErrorEvents(failedResults, context) {
+        const errorEvents = [];
+        // The failed result each error event was mapped from.
+        const sourceResults = [];
+
+        failedResults.forEach((failedResult) => {
+            let errorEvent;
+            try {
+                errorEvent = this.mapToErrorEvent(
+                    // context will be the error that caused the failure.
+                    failedResult.context,
+                    failedResult.event,
+                    // Provide the event process context to mapToErrorEvent
+                    // in case it wants to use it.
+                    context
                 );
-                return new EventStatus('error', err, event);
+            } catch (err) {
+                this.log.error({ err }, `Failed mapping failed event to error event: ${err.message}`);
+                const errorEventStatus = new EventStatus('error', err, undefined);
+                errorEventStatus.stage = 'mapToErrorEvent';
+                this._errorEventDone(errorEventStatus, failedResult, context);
+                return;
+            }
+
+            // Anything that was mapped to null will not be produced. This allows the
+            // implementation of mapToErrorEvent to decide if a particular error
+            // event should be produced or not.
+            if (!_.isEmpty(errorEvent)) {
+                errorEvents.push(errorEvent);
+                sourceResults.push(failedResult);
             }
+        });
+
+        this.log.info(
+            `${failedResults.length} failed, producing ${errorEvents.length} error events.`
+        );
+
+        let errorEventStatuses;
+        try {
+            // Provide the event process context for error events too.
+            // Error events are processed directly rather than with process(),
+            // so their failures will never be mapped to further error events.
+            errorEventStatuses = await this._processEvents(errorEvents, context, _.noop, true);
+        } catch (err) {
+            this.log.error({ err }, `Failed producing error events: ${err.message}`);
+            errorEventStatuses = errorEvents.map((errorEvent) => {
+                return new EventStatus('error', err, errorEvent);
+            });
         }
+
+        errorEventStatuses.forEach((errorEventStatus, i) => {
+            this._errorEventDone(errorEventStatus, sourceResults[i], context);
+        });
+        return errorEventStatuses;
     }
 
     /**
@@ -214,12 +1192,33 @@ class EventGate {
      *      Additional context to provide to validate() and produce() functions.
      * @return {Object<Array>}
      *      of event validate/produce status keyed by status type.
+     * @throws {EventGateOverloadedError} if processing events would exceed maxInFlight.
+     * @throws {EventGateClosingError} if close() has been called.
      */
     process(events, context = {}) {
-        // call _processEvent for every event.
-        return P.map(events, (event) => this._processEvent(event, context))
+        if (this.closing) {
+            return P.reject(new EventGateClosingError(
+                `Cannot process ${events.length} events, EventGate is closing`,
+                { inFlight: this.inFlight, maxInFlight: this.maxInFlight }
+            ));
+        }
+        if (!this.hasCapacityFor(events.length)) {
+            return P.reject(new EventGateOverloadedError(
+                `Cannot process ${events.length} events, ${this.inFlight} events are ` +
+                `already in flight and at most ${this.maxInFlight} are allowed`,
+                { inFlight: this.inFlight, maxInFlight: this.maxInFlight }
+            ));
+        }
+        this.inFlight += events.length;
+
+        return this._trackPending(this._processEvents(events, context, () => {
+            this.inFlight--;
+        })
         // Then group the array of EventStatus results to by result.status
         .then((results) => {
+            results.forEach((result, i) => {
+                result.index = i;
+            });
             // Group event validation and production results by status
             // Some could succeed and some fail.
             results = _.groupBy(results, (result) => result.status);
@@ -233,48 +1232,106 @@ class EventGate {
 
             // Convert any failed events to error events and produce them
             // if given mapToErrorEvent was configured.
-            // This should be done in the background.
-            const failedResults = results.invalid.concat(results.error);
+            // Unless awaitErrorEvents, this should be done in the background.
+            const failedResults = results.invalid.concat(results.error, results.timeout);
             if (this.mapToErrorEvent && !_.isEmpty(failedResults)) {
-                // Process each error event to validate and produce it.
-                // NOTE: The results of this._processEvent will not be
-                // inspected or returned.  If something goes wrong here
-                // you should inspect the logs to find out about it.
-                setTimeout(
-                    () => {
-                        // convert failed results into event errors and produce them.
-                        const errorEvents = _.map(failedResults, (failedResult) => {
-                            return this.mapToErrorEvent(
-                                // context will be the error that caused the failure.
-                                failedResult.context,
-                                failedResult.event,
-                                // Provide the event process context to mapToErrorEvent
-                                // in case it wants to use it.
-                                context
-                            );
-                        })
-                        // Remove any empty elements; anything that was mapped to
-                        // null will not be produced. This allows the implementation
-                        // of mapToEventError to decide if a particular error event should
-                        // be produced or not.
-                        .filter((e) => !_.isEmpty(e));
-
-                        this.log.info(
-                            `${failedResults.length} failed, producing ` +
-                            `${errorEvents.length} error events.`
-                        );
-                        // Provide the event process context to _processEvent for error event too
-                        P.map(errorEvents, (errorEvent) => this._processEvent(errorEvent, context));
-                    },
-                    0
+                if (this.awaitErrorEvents) {
+                    return this._produceErrorEvents(failedResults, context).then(() => results);
+                }
+                // NOTE: The results of error events will not be returned.  Subscribe
+                // to errorEventProduced and errorEventFailed, or inspect the logs
+                // to find out about them.
+                this._trackPending(
+                    P.delay(0).then(() => this._produceErrorEvents(failedResults, context))
                 );
             }
 
             return results;
-        });
+        }));
+    }
+
+    /**
+     * Waits until all process() calls have settled, including the error events they
+     * produce (in the background or not), or until timeoutMs has passed.
+     *
+     * @param {number} timeoutMs If not a positive finite number, this waits indefinitely.
+     * @return {Promise<number>} of the number of events that are still in flight.
+     */
+    async drain(timeoutMs) {
+        const drained = this._pending.size === 0 ?
+            undefined :
+            new P((resolve) => this.once('drained', resolve));
+        await withTimeout(drained, timeoutMs, () => new EventTimeoutError(
+            `EventGate did not drain within ${timeoutMs} ms`
+        )).catch(EventTimeoutError, _.noop);
+        return this.inFlight;
+    }
+
+    /**
+     * Registers fn to be called by close() after in-flight events have been drained.
+     * If close() was given a timeoutMs, fn is given the time that is left of it.
+     *
+     * @param {Function} fn ({ timeoutMs }) => Promise|undefined
+     * @return {EventGate} this
+     */
+    onClose(fn) {
+        this._closeHandlers.push(fn);
+        return this;
+    }
+
+    /**
+     * Shuts this EventGate down.  New events are rejected, in-flight events are
+     * drained for at most options.timeoutMs, and then the close() functions of produce,
+     * produceBatch and stages, and the functions registered with onClose() are called.
+     * Each of these is given { timeoutMs } with the time that is left of options.timeoutMs,
+     * so that e.g. sinks only flush until then.
+     * Events still in flight after the timeout are abandoned and logged.
+     * Errors thrown by close functions are logged.
+     *
+     * @param {Object} options
+     * @param {number} options.timeoutMs
+     *      Maximum milliseconds to wait for in-flight events.  Default: wait indefinitely.
+     * @return {Promise<number>} of the number of abandoned events.
+     */
+    async close(options = {}) {
+        const deadline = _.isFinite(options.timeoutMs) && options.timeoutMs > 0 ?
+            Date.now() + options.timeoutMs :
+            undefined;
+        this.closing = true;
+        this.log.info(`Closing EventGate, draining ${this.inFlight} in-flight events.`);
+
+        const abandoned = await this.drain(options.timeoutMs);
+        if (abandoned > 0) {
+            this.log.error(
+                `${abandoned} in-flight events were abandoned, they did not finish ` +
+                `within ${options.timeoutMs} ms.`
+            );
+        }
+
+        const closeFns = [this.produce, this.produceBatch]
+            .concat(_.flatten(_.values(this.stages)))
+            .filter((closeable) => closeable && _.isFunction(closeable.close))
+            .map((closeable) => (closeOptions) => closeable.close(closeOptions))
+            .concat(this._closeHandlers);
+        for (const closeFn of closeFns) {
+            try {
+                await closeFn(_.isUndefined(deadline) ?
+                    {} :
+                    { timeoutMs: Math.max(0, deadline - Date.now()) }
+                );
+            } catch (err) {
+                this.log.error({ err }, `Failed closing EventGate: ${err.message}`);
+            }
+        }
+        return abandoned;
     }
 }
 
+/**
+ * 'static' 'enum' constant for possible stage phases.
+ */
+EventGate.STAGE_PHASES = STAGE_PHASES;
+
 module.exports = {
     EventGate,
     EventStatus
@@ -1,18 +1,50 @@
 'use strict';
 
 const _              = require('lodash');
+const { v1: uuidv1 } = require('uuid');
 
 const {
     uriGetFirstObject
 } = require('@wikimedia/url-get');
 
 const EventValidator = require('../EventValidator');
+const StreamConfigs  = require('../StreamConfigs');
+const RetryPolicy    = require('../RetryPolicy');
+const CircuitBreaker = require('../CircuitBreaker');
+const {
+    MemoryDedupStore,
+    makeDedupStage
+} = require('../dedup');
+const {
+    makeSamplingStage
+} = require('../sampling');
+const {
+    SchemaUpgrades,
+    makeSchemaUpgradeStage
+} = require('../SchemaUpgrades');
+const {
+    DeadLetterSpool
+} = require('../dead-letter');
 const EventGate      = require('../eventgate.js').EventGate;
 
 const {
     makeExtractField,
+    stringMatches,
+    requireRelative,
 } = require('../event-util');
 
+const {
+    ValidationError,
+    UnknownStreamError,
+    UnauthorizedSchemaForStreamError,
+    UnroutableEventError,
+    SinkProduceError,
+    CircuitOpenError,
+    EventSchemaLoadError,
+    EventTimeoutError,
+    MissingFieldError,
+} = require('../error');
+
 /**
  * This file contains various functions for configuring and creating a 'default' EventGate
  * instance using Express app.options.  These functions all use a options object
@@ -61,6 +93,156 @@ const {
  *      Their stream fields at different locations.
  *      Default: undefined
  *
+ * - stream_config_uri
+ *      If set, stream configs will be loaded from this local file path or URL.
+ *      The stream config is an object keyed by stream name (or /regex/
+ *      matching stream names), with each value containing a schema_title.
+ *      Events destined to streams that are not configured will be rejected,
+ *      as will events whose schema title does not match the stream's
+ *      configured schema_title.
+ *      Default: undefined
+ *
+ * - schema_upgrades
+ *      If set, events sent with an old schema URI will be upgraded to a newer one before
+ *      validation.  This is a list of upgrades, each with from and to schema URIs
+ *      (as set in events at schema_uri_field), and either a list of rules
+ *      (see makeRulesUpgrade in lib/SchemaUpgrades.js) or a module that exports an
+ *      upgrade(event, context) function.  Modules are required like eventgate_factory_module.
+ *      Default: undefined
+ *
+ * - enrich_id_field
+ *      If set, events that do not have a value at this dotted object path will
+ *      have it set to a new UUID before validation.
+ *      Default: undefined
+ *
+ * - enrich_dt_field
+ *      If set, events that do not have a value at this dotted object path will
+ *      have it set to the current ISO-8601 timestamp before validation.
+ *      Default: undefined
+ *
+ * - enrich_received_dt_field
+ *      If set, the ISO-8601 timestamp at which EventGate received the event
+ *      will be set at this dotted object path before validation, overwriting
+ *      any value sent by the client.
+ *      Default: undefined
+ *
+ * - enrich_request_id_field
+ *      If set, the HTTP request's x-request-id header will be set at this dotted
+ *      object path before validation, overwriting any value sent by the client.
+ *      Default: undefined
+ *
+ * - dedup.id_field
+ *      If dedup is set, events with an id at this dotted object path that has
+ *      already been seen within dedup.ttl_ms will not be produced again, and will
+ *      get a 'duplicate' EventStatus instead, or a 'duplicate_pending' EventStatus if
+ *      the event with that id is still being processed.
+ *      Default: meta.id
+ *
+ * - dedup.ttl_ms
+ *      Milliseconds for which event ids are remembered for deduplication.
+ *      Default: 60000
+ *
+ * - dedup.max_keys
+ *      Maximum number of event ids to remember for deduplication.
+ *      Default: 100000
+ *
+ * - sampling
+ *      If set, events of some streams will be sampled before they are produced.
+ *      sampling.streams is keyed by stream name (or /regex/ matching stream names),
+ *      each with a sampling rate between 0 and 1 and an optional key_field.
+ *      If key_field (or sampling.key_field) is set, events are sampled deterministically
+ *      by the value at this dotted path, e.g. a session id, so that either all or none of
+ *      the events with the same value are kept.  A stream's sampling settings can also
+ *      be set in its stream config, which takes precedence.  Events that are not
+ *      kept will get a 'sampled_out' EventStatus.
+ *      Default: undefined
+ *
+ * - concurrency
+ *      Maximum number of events of a single request that will be validated
+ *      and produced concurrently.
+ *      Default: unlimited
+ *
+ * - ordering_key_field
+ *      If set, events with the same value at this dotted object path will be validated and
+ *      produced in the order in which they were received, even across concurrent requests.
+ *      Events with different values (or without this field) are still processed concurrently.
+ *      Default: undefined
+ *
+ * - max_in_flight_events
+ *      Maximum number of events that may be being processed at once across
+ *      all requests.  If a request would exceed this, it will be rejected
+ *      with a 503 and a Retry-After header of retry_after_seconds.
+ *      Default: unlimited
+ *
+ * - schema_load_timeout_ms
+ *      If set, loading an event's schema will time out after this many milliseconds.
+ *      Default: undefined
+ *
+ * - schema_cache_ttl_ms
+ *      If set, cached schemas are reloaded in the background once they are this many
+ *      milliseconds old.  Until then, the cached schemas keep being used.
+ *      Default: undefined (cached schemas are never reloaded)
+ *
+ * - schema_load_failure_ttl_ms
+ *      Schema URIs that do not exist or are insecure are not loaded again for this many
+ *      milliseconds, events with these schema URIs fail with the same error instead.
+ *      Transient failures, like timeouts or server errors, are not remembered.
+ *      Set to 0 to load failed schemas again for every event.
+ *      Default: 10000
+ *
+ * - ajv_config
+ *      Extra options passed to new Ajv() by the EventValidator.
+ *      Default: undefined
+ *
+ * - ajv_plugins
+ *      List of modules that export custom Ajv formats and keywords, see
+ *      ajvPlugins in lib/EventValidator.js.  Modules are required like
+ *      eventgate_factory_module, e.g. lib/ajv-formats.  Regex formats must be anchored
+ *      with ^ and $ and must not nest quantifiers.
+ *      Default: undefined
+ *
+ * - schema_preload
+ *      If set, schemas are loaded and compiled when the EventGate is created.
+ *      uris is a list of schema URIs to load, and directory a local directory of
+ *      schema files to load.  If any schema fails to preload, creating the EventGate
+ *      fails, unless fail_on_error is false, in which case the failures are logged.
+ *      E.g. { uris: ['/test/event/1.0.0'], directory: '/srv/schemas', fail_on_error: true }
+ *      Default: undefined
+ *
+ * - validate_timeout_ms
+ *      If set, validating an event (including loading its schema) will time out
+ *      after this many milliseconds.
+ *      Default: undefined
+ *
+ * - produce_timeout_ms
+ *      If set, producing an event will time out after this many milliseconds.
+ *      Events that time out will get a 'timeout' EventStatus.
+ *      Default: undefined
+ *
+ * - produce_retry
+ *      If set, failed produces will be retried with exponential backoff and jitter.
+ *      produce_retry.max_attempts (default 3), produce_retry.base_delay_ms (default 100),
+ *      produce_retry.max_delay_ms (default 5000) and produce_retry.jitter (default 0.2)
+ *      configure the RetryPolicy.  Kafka errors are only retried if they are transient.
+ *      See isRetryableProduceError.  Produces that timed out (see produce_timeout_ms) are
+ *      only retried if produce_retry.retry_timeouts is true, as the timed out produce
+ *      might still complete, in which case the event is produced twice.
+ *      Default: undefined
+ *
+ * - dead_letter.directory
+ *      If set, events that fail to be produced ('error' or 'timeout' EventStatus) will be
+ *      written with their error context to newline delimited JSON files in this directory.
+ *      These files can be re-processed with eventgate replay.
+ *      Default: undefined
+ *
+ * - dead_letter.max_file_bytes
+ *      Dead-letter files are rotated once they are this large.
+ *      Default: 104857600 (100 MB)
+ *
+ * - dead_letter.max_files
+ *      Maximum number of dead-letter files to keep.  The oldest are deleted first.
+ *      Default: 10
+ *
  * - output_path
  *      If set, valid events will be written to this file.
  *      A value of 'stdout' will write events to stdout.
@@ -72,6 +254,34 @@ const {
  *
  * - kafka.topic_conf
  *      node-rdkafka KafkaProducer topic configuration
+ *
+ * - circuit_breaker
+ *      If set, producing to Kafka is wrapped in a CircuitBreaker, so that events fail fast
+ *      rather than waiting on Kafka while it is unreachable.  circuit_breaker.failure_ratio
+ *      (default 0.5), circuit_breaker.min_calls (default 10), circuit_breaker.window_ms
+ *      (default 10000), circuit_breaker.open_ms (default 30000) and
+ *      circuit_breaker.half_open_trials (default 1) configure the CircuitBreaker.
+ *      Produces that take longer than circuit_breaker.call_timeout_ms (default
+ *      produce_timeout_ms) count as failures, so that a hung Kafka opens the circuit too.
+ *      If circuit_breaker.fallback_sink is set, events are produced to this sink (see sinks)
+ *      while the circuit is open.  Kafka sinks can override this with their own circuit_breaker.
+ *      Default: undefined
+ *
+ * - sinks
+ *      Named sinks that routes can send events to, each with a type of either file
+ *      (with an output_path) or kafka (with conf and topic_conf).  If output_path is set,
+ *      there is a 'file' sink for it, and if kafka.conf is set, there is a 'kafka' sink for it.
+ *      Default: undefined
+ *
+ * - routes
+ *      If set, events will be produced only to the sinks of the routes they match,
+ *      rather than to both output_path and Kafka.  Each route has a list of sinks, and
+ *      optionally lists of streams and/or schema_uris (exact or /regex/) that events must
+ *      match.  Routes without streams or schema_uris match all events.  Routes are matched
+ *      in order, and the first matching route is used, unless it has continue: true.
+ *      If a route has optional: true, failures to produce to its sinks are ignored.
+ *      See makeRoute.
+ *      Default: undefined
  */
 
 const defaultOptions = {
@@ -79,6 +289,55 @@ const defaultOptions = {
     schema_base_uri: undefined,
     schema_file_extension: undefined,
     stream_field: undefined,
+    stream_config_uri: undefined,
+    schema_upgrades: undefined,
+    enrich_id_field: undefined,
+    enrich_dt_field: undefined,
+    enrich_received_dt_field: undefined,
+    enrich_request_id_field: undefined,
+    // disable sampling by default.
+    // sampling: {
+    //     key_field: undefined,
+    //     streams: {
+    //         'my.stream': { rate: 0.1, key_field: 'session_id' }
+    //     }
+    // },
+    // disable deduplication by default.
+    // dedup: {
+    //     id_field: 'meta.id',
+    //     ttl_ms: 60000,
+    //     max_keys: 100000
+    // },
+    concurrency: undefined,
+    ordering_key_field: undefined,
+    max_in_flight_events: undefined,
+    schema_load_timeout_ms: undefined,
+    schema_cache_ttl_ms: undefined,
+    schema_load_failure_ttl_ms: 10000,
+    ajv_config: undefined,
+    ajv_plugins: undefined,
+    // disable schema preloading by default.
+    // schema_preload: {
+    //     uris: [],
+    //     directory: undefined,
+    //     fail_on_error: true
+    // },
+    validate_timeout_ms: undefined,
+    produce_timeout_ms: undefined,
+    // disable produce retries by default.
+    // produce_retry: {
+    //     max_attempts: 3,
+    //     base_delay_ms: 100,
+    //     max_delay_ms: 5000,
+    //     jitter: 0.2,
+    //     retry_timeouts: false
+    // },
+    // disable the dead-letter spool by default.
+    // dead_letter: {
+    //     directory: './dead-letter',
+    //     max_file_bytes: 104857600,
+    //     max_files: 10
+    // },
     output_path: 'stdout',
     // disable Kafka produce by default so we can have node-rdkafka as an optional dependnecy.
     // kafka: {
@@ -87,6 +346,24 @@ const defaultOptions = {
     //     },
     //     topic_conf: {}
     // },
+    // disable circuit breaking by default.
+    // circuit_breaker: {
+    //     failure_ratio: 0.5,
+    //     min_calls: 10,
+    //     window_ms: 10000,
+    //     open_ms: 30000,
+    //     half_open_trials: 1,
+    //     call_timeout_ms: undefined, (defaults to produce_timeout_ms)
+    //     fallback_sink: undefined
+    // },
+    // disable routing by default, all events are produced to output_path and kafka.
+    // sinks: {
+    //     analytics: { type: 'kafka', conf: {}, topic_conf: {} }
+    // },
+    // routes: [
+    //     { streams: ['/^analytics\\..+/'], sinks: ['analytics'] },
+    //     { sinks: ['kafka'] }
+    // ],
 };
 
 /**
@@ -152,7 +429,73 @@ function makeExtractStream(options) {
 }
 
 /**
- * Creates a new schema URI based validate(event) function.
+ * Creates a function that extracts an event's ordering key as a string from
+ * options.ordering_key_field.  Events without the field have an undefined ordering key,
+ * as do all events if options.ordering_key_field is not set.
+ *
+ * @param {Object} options
+ * @param {string} options.ordering_key_field
+ * @return {function(Object, Object): string|undefined}
+ */
+function makeExtractOrderingKey(options) {
+    if (!options.ordering_key_field) {
+        return _.noop;
+    }
+    const extractField = makeExtractField(options.ordering_key_field);
+    return (event, context = {}) => {
+        try {
+            const key = extractField(event, context);
+            return _.isNil(key) ? undefined : String(key);
+        } catch (err) {
+            return undefined;
+        }
+    };
+}
+
+/**
+ * Returns a Promise of StreamConfigs loaded from options.stream_config_uri,
+ * or of undefined if options.stream_config_uri is not set.
+ *
+ * @param {Object} options
+ * @param {string} options.stream_config_uri
+ *      Local file path or URL to a YAML or JSON stream config file.
+ * @param {Object} logger
+ * @return {Promise<StreamConfigs|undefined>}
+ */
+async function makeStreamConfigs(options, logger) {
+    if (_.isUndefined(options.stream_config_uri)) {
+        return undefined;
+    }
+    logger.info(`Loading stream config from ${options.stream_config_uri}`);
+    return StreamConfigs.load(options.stream_config_uri);
+}
+
+/**
+ * Requires the Ajv plugin modules in options.ajv_plugins.
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.ajv_plugins
+ * @param {Object} logger
+ * @return {Array<Object>|undefined} plugins with formats and keywords.
+ */
+function makeAjvPlugins(options, logger) {
+    if (_.isEmpty(options.ajv_plugins)) {
+        return undefined;
+    }
+
+    const pathsToSearch = [process.cwd(), options.app_base_path];
+    return options.ajv_plugins.map((pluginModule) => {
+        logger.info(`Loading Ajv plugin from ${pluginModule}`);
+        const plugin = requireRelative(pluginModule, pathsToSearch);
+        if (_.isEmpty(plugin.formats) && _.isEmpty(plugin.keywords)) {
+            throw new Error(`Ajv plugin ${pluginModule} does not export any formats or keywords`);
+        }
+        return plugin;
+    });
+}
+
+/**
+ * Creates an EventValidator that loads schemas from options.schema_base_uris.
  *
  * @param {Object} options
  * @param {string} options.schema_uri_field
@@ -161,10 +504,19 @@ function makeExtractStream(options) {
  *      If set, this is prefixed to un-anchored schema URIs.
  * @param {string} options.schema_file_extension
  *      If set, this is suffixed to schema URIs that dont' already have a file extension.
+ * @param {number} options.schema_load_timeout_ms
+ *      If set, schema loading will time out after this many milliseconds.
+ * @param {number} options.schema_cache_ttl_ms
+ *      If set, cached schemas are reloaded in the background once they are this old.
+ * @param {number} options.schema_load_failure_ttl_ms
+ *      If set, schemas that do not exist or are insecure are not loaded again until
+ *      they failed this long ago.
+ * @param {Object} options.ajv_config Extra options for new Ajv().
+ * @param {Array<string>} options.ajv_plugins Ajv plugin modules, see makeAjvPlugins.
  * @param {Object} logger
- * @return {EventGate~validate}
+ * @return {EventValidator}
  */
-function makeValidate(options, logger) {
+function makeEventValidator(options, logger) {
 
     /**
      * Searches options.schema_base_uris/uri for schema content, and returns
@@ -177,27 +529,332 @@ function makeValidate(options, logger) {
         return uriGetFirstObject(uri, options.schema_base_uris, options.schema_file_extension);
     }
 
-    const eventValidator = new EventValidator({
+    return new EventValidator({
         extractSchemaUri: makeExtractSchemaUri(options),
         getSchema,
+        schemaLoadTimeout: options.schema_load_timeout_ms,
+        schemaCacheTtl: options.schema_cache_ttl_ms,
+        schemaLoadFailureTtl: options.schema_load_failure_ttl_ms,
+        ajvConfig: options.ajv_config,
+        ajvPlugins: makeAjvPlugins(options, logger),
         log: logger
     });
+}
+
+/**
+ * Preloads the schemas configured in options.schema_preload with eventValidator.
+ *
+ * @param {EventValidator} eventValidator
+ * @param {Object} options
+ * @param {Object} options.schema_preload
+ * @param {Array<string>} options.schema_preload.uris Schema URIs to preload.
+ * @param {string} options.schema_preload.directory A local directory of schema files to preload.
+ * @param {boolean} options.schema_preload.fail_on_error
+ *      If true (default), this rejects if any schema failed to preload.
+ *      Else failures are only logged.
+ * @param {Object} logger
+ * @return {Promise<Object>} of EventValidator preload's report.
+ * @throws {EventSchemaLoadError} if any schema failed to preload and fail_on_error.
+ */
+async function preloadSchemas(eventValidator, options, logger) {
+    if (_.isUndefined(options.schema_preload)) {
+        return { preloaded: [], failed: [] };
+    }
+
+    const report = await eventValidator.preload({
+        uris: options.schema_preload.uris,
+        directory: options.schema_preload.directory
+    });
+    if (!_.isEmpty(report.failed)) {
+        const failedUris = _.map(report.failed, 'uri');
+        const message = `Failed preloading ${failedUris.length} schemas: ${failedUris.join(', ')}`;
+        if (_.get(options.schema_preload, 'fail_on_error', true)) {
+            throw new EventSchemaLoadError(message, { failed: report.failed });
+        }
+        report.failed.forEach(({ uri, error }) => {
+            logger.warn({ err: error }, `Failed preloading schema at ${uri}: ${error.message}`);
+        });
+        logger.warn(message);
+    }
+    return report;
+}
+
+/**
+ * Creates a new schema URI based validate(event) function.
+ *
+ * If streamConfigs is given, events will also be checked against the stream config
+ * of their destination stream.  An event will be rejected with an UnknownStreamError if
+ * its stream is not configured, or with an UnauthorizedSchemaForStreamError if
+ * its schema's title does not match the stream's configured schema_title.
+ * Both of these are ValidationErrors, so such events will be considered invalid.
+ * Events without a stream are rejected with a ValidationError as well.
+ *
+ * @param {Object} options
+ *      See makeEventValidator.
+ * @param {string} options.stream_field
+ *      Used to extract the event's destination stream if streamConfigs is given.
+ * @param {Object} logger
+ * @param {StreamConfigs} streamConfigs
+ *      If given, events will only be allowed in configured streams with matching schema titles.
+ * @param {EventValidator} eventValidator
+ *      EventValidator to validate events with.  Default: makeEventValidator(options, logger)
+ * @return {EventGate~validate}
+ */
+function makeValidate(
+    options, logger, streamConfigs, eventValidator = makeEventValidator(options, logger)
+) {
+
+    if (_.isUndefined(streamConfigs)) {
+        return (event) => {
+            return eventValidator.validate(event);
+        };
+    }
+
+    const extractStream = makeExtractStream(options);
+
+    return async (event) => {
+        let stream;
+        try {
+            stream = extractStream(event);
+        } catch (err) {
+            if (!(err instanceof MissingFieldError)) {
+                throw err;
+            }
+            // An event without a stream is invalid, it cannot be produced anywhere.
+            throw new ValidationError(
+                err.message,
+                [{ keyword: 'stream', dataPath: '', params: {}, message: err.message }]
+            );
+        }
+        const streamConfig = streamConfigs.get(stream);
+        if (_.isUndefined(streamConfig)) {
+            const message = `Stream '${stream}' is not configured, events cannot be produced to it`;
+            throw new UnknownStreamError(
+                message,
+                [{ keyword: 'stream', dataPath: '', params: { stream }, message, actual: stream }],
+                { stream }
+            );
+        }
+
+        const schema = await eventValidator.schemaFor(event);
+        if (schema.title !== streamConfig.schema_title) {
+            const message = `Schema with title '${schema.title}' is not allowed in stream ` +
+                `'${stream}', expected schema title '${streamConfig.schema_title}'`;
+            const params = {
+                stream,
+                schema_title: schema.title,
+                allowed_schema_title: streamConfig.schema_title
+            };
+            throw new UnauthorizedSchemaForStreamError(
+                message,
+                [{
+                    keyword: 'schema_title',
+                    dataPath: '',
+                    params,
+                    message,
+                    expected: streamConfig.schema_title,
+                    actual: schema.title
+                }],
+                params
+            );
+        }
 
-    return (event) => {
         return eventValidator.validate(event);
     };
 }
 
 /**
- * Creates a function that writes events to output_path.
+ * Creates a stage function that enriches events with server side values
+ * at the configured enrich_*_field dotted object paths.  If none of the
+ * enrich_*_field options are set, this returns undefined.
+ *
+ * @param {Object} options
+ * @param {string} options.enrich_id_field
+ *      If set and missing from the event, a new UUID will be set here.
+ * @param {string} options.enrich_dt_field
+ *      If set and missing from the event, the current timestamp will be set here.
+ * @param {string} options.enrich_received_dt_field
+ *      If set, the time the event was received will be set here.
+ * @param {string} options.enrich_request_id_field
+ *      If set, the request's x-request-id header will be set here.
+ * @return {EventGate~stage|undefined}
+ */
+function makeEnrichEvent(options) {
+    const idField = options.enrich_id_field;
+    const dtField = options.enrich_dt_field;
+    const receivedDtField = options.enrich_received_dt_field;
+    const requestIdField = options.enrich_request_id_field;
+
+    if (_.every([idField, dtField, receivedDtField, requestIdField], _.isUndefined)) {
+        return undefined;
+    }
+
+    return (event, context = {}) => {
+        // Leave anything that isn't an object as is, it will fail validation anyway.
+        if (!_.isPlainObject(event)) {
+            return event;
+        }
+
+        const now = new Date().toISOString();
+        if (idField && !_.has(event, idField)) {
+            _.set(event, idField, uuidv1());
+        }
+        if (dtField && !_.has(event, dtField)) {
+            _.set(event, dtField, now);
+        }
+        if (receivedDtField) {
+            _.set(event, receivedDtField, now);
+        }
+        const requestId = _.get(context, ['req', 'headers', 'x-request-id']);
+        if (requestIdField && !_.isUndefined(requestId)) {
+            _.set(event, requestIdField, requestId);
+        }
+        return event;
+    };
+}
+
+/**
+ * Creates SchemaUpgrades from options.schema_upgrades, or returns undefined if
+ * options.schema_upgrades is not set.  Upgrades with a module will use the upgrade
+ * function exported by the module, searched for in the cwd and app_base_path
+ * as well as in the normal module.paths.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.schema_upgrades
+ * @param {Object} logger
+ * @return {SchemaUpgrades|undefined}
+ */
+function makeSchemaUpgrades(options, logger) {
+    if (_.isEmpty(options.schema_upgrades)) {
+        return undefined;
+    }
+
+    const pathsToSearch = [process.cwd(), options.app_base_path];
+    return new SchemaUpgrades(options.schema_upgrades.map((upgrade) => {
+        if (!upgrade.module) {
+            return upgrade;
+        }
+        logger.info(`Loading schema upgrade from ${upgrade.from} to ${upgrade.to} from ${upgrade.module}`);
+        return {
+            from: upgrade.from,
+            to: upgrade.to,
+            upgrade: requireRelative(upgrade.module, pathsToSearch).upgrade
+        };
+    }));
+}
+
+/**
+ * Creates a sampling stage that samples events of streams with sampling settings in their
+ * stream config or in options.sampling.streams.  If neither options.sampling nor
+ * streamConfigs are given, this returns undefined.
+ *
+ * @param {Object} options
+ * @param {Object} options.sampling
+ * @param {string} options.sampling.key_field
+ *      Default key_field for all streams.
+ * @param {Object} options.sampling.streams
+ *      Sampling settings { rate, key_field }, keyed by stream name or /regex/.
+ * @param {Object} logger
+ * @param {StreamConfigs} streamConfigs
+ *      If given, sampling settings in stream configs will be used.
+ * @return {Object|undefined} stage
+ */
+function makeSampling(options, logger, streamConfigs) {
+    if (_.isUndefined(options.sampling) && _.isUndefined(streamConfigs)) {
+        return undefined;
+    }
+
+    const extractStream = makeExtractStream(options);
+    const defaultKeyField = _.get(options, 'sampling.key_field');
+    const samplingConfigs = new StreamConfigs(_.get(options, 'sampling.streams', {}));
+
+    return makeSamplingStage({
+        getSampling: (event, context = {}) => {
+            let stream;
+            try {
+                stream = extractStream(event);
+            } catch (err) {
+                // Events without a stream are not sampled.
+                return undefined;
+            }
+            const sampling = _.get(streamConfigs && streamConfigs.get(stream), 'sampling') ||
+                samplingConfigs.get(stream);
+            if (_.isUndefined(sampling)) {
+                return undefined;
+            }
+            return {
+                rate: sampling.rate,
+                keyField: sampling.key_field || defaultKeyField
+            };
+        },
+        log: logger
+    });
+}
+
+/**
+ * Creates the EventGate stages configured by options, keyed by stage phase.
  *
  * @param {Object} options
- * @param {Object} options.output_path
  * @param {Object} logger
  * @param {Object} metrics
- * @return {EventGate~produce} (event, context) => Promise<event>
+ * @param {StreamConfigs} streamConfigs
+ * @return {Object<Array>}
  */
-function makeFileProduce(options, logger, metrics) {
+function makeStages(options, logger, metrics, streamConfigs) {
+    const stages = {
+        preValidate: [],
+        postValidate: [],
+        preProduce: []
+    };
+
+    const schemaUpgrades = makeSchemaUpgrades(options, logger);
+    if (schemaUpgrades) {
+        // Upgrade first, so that enrichment and validation see the upgraded event.
+        stages.preValidate.push(makeSchemaUpgradeStage({
+            upgrades: schemaUpgrades,
+            schemaUriField: options.schema_uri_field,
+            log: logger
+        }));
+    }
+
+    const enrichEvent = makeEnrichEvent(options);
+    if (enrichEvent) {
+        // Enrich before validation, so that the enriched fields are validated too.
+        stages.preValidate.push({ name: 'enrich', fn: enrichEvent });
+    }
+
+    const sampling = makeSampling(options, logger, streamConfigs);
+    if (sampling) {
+        // Sample before dedup, so that the ids of sampled out events are not remembered.
+        stages.preProduce.push(sampling);
+    }
+
+    if (options.dedup) {
+        const idField = _.get(options.dedup, 'id_field', 'meta.id');
+        // Dedup right before produce, so that only valid events' ids are remembered.
+        stages.preProduce.push(makeDedupStage({
+            extractId: makeExtractField(idField),
+            store: new MemoryDedupStore({
+                ttlMs: options.dedup.ttl_ms,
+                maxKeys: options.dedup.max_keys
+            }),
+            log: logger
+        }));
+        logger.info(`Deduplicating events by ${idField}`);
+    }
+
+    return stages;
+}
+
+/**
+ * Creates a function that writes a Buffer to output_path.  Its close()
+ * function ends the file stream once all pending writes have been flushed.
+ *
+ * @param {Object} options
+ * @param {Object} options.output_path
+ * @return {function(Buffer): Promise}
+ */
+function makeFileWrite(options) {
     const fs = require('fs');
     const {
 
@@ -208,27 +865,88 @@ function makeFileProduce(options, logger, metrics) {
     if (options.output_path === 'stdout') {
         // If fd is set, createWriteStream will ignore output_path.
         writeOptions.fd = process.stdout.fd;
+        // Don't close stdout when the stream is ended.
+        writeOptions.autoClose = false;
     }
     const outputStream = fs.createWriteStream(options.output_path || './output.json', writeOptions);
 
-    return async (event, context = {}) => {
-        const serializedEvent = Buffer.from(JSON.stringify(event) + '\n');
-        if (!outputStream.write(serializedEvent)) {
+    const fileWrite = async (buffer) => {
+        if (!outputStream.write(buffer)) {
             await once(outputStream, 'drain');
         }
     };
+    fileWrite.close = async () => {
+        if (!outputStream.writableEnded) {
+            outputStream.end();
+            await once(outputStream, 'finish');
+        }
+    };
+    return fileWrite;
+}
+
+/**
+ * Creates a function that writes events to output_path.
+ *
+ * @param {Object} options
+ * @param {Object} options.output_path
+ * @param {Object} logger
+ * @param {Object} metrics
+ * @return {EventGate~produce} (event, context) => Promise<event>
+ */
+function makeFileProduce(options, logger, metrics) {
+    const fileWrite = makeFileWrite(options);
+
+    const fileProduce = async (event, context = {}) => {
+        await fileWrite(Buffer.from(JSON.stringify(event) + '\n'));
+    };
+    fileProduce.close = fileWrite.close;
+    return fileProduce;
+}
+
+/**
+ * Creates a function that writes batches of events to output_path,
+ * with a single write per batch.
+ *
+ * @param {Object} options
+ * @param {Object} options.output_path
+ * @param {Object} logger
+ * @param {Object} metrics
+ * @return {EventGate~produceBatch} (events, context) => Promise<Array>
+ */
+function makeFileProduceBatch(options, logger, metrics) {
+    const fileWrite = makeFileWrite(options);
+
+    const fileProduceBatch = async (events, context = {}) => {
+        const serializedEvents = events.map((event) => JSON.stringify(event) + '\n');
+        await fileWrite(Buffer.from(serializedEvents.join('')));
+        return events.map(() => undefined);
+    };
+    fileProduceBatch.close = fileWrite.close;
+    return fileProduceBatch;
 }
 
+/**
+ * Maximum milliseconds to wait for queued Kafka messages to be delivered when closing,
+ * unless close() is given a shorter timeoutMs.
+ */
+const KAFKA_FLUSH_TIMEOUT_MS = 10000;
+
 /**
  * Creates a function that returns function that produces events to Kafka.
- * NOTE: This function uses undefined Kafka key and partition when producing.
- * If you need to set key and/or partition, you should make your own produce function.
+ * NOTE: This function uses an undefined Kafka partition when producing.  The Kafka key is
+ * the event's ordering key (see ordering_key_field), so that events with the same
+ * ordering key end up in the same partition.  If you need to set the partition,
+ * you should make your own produce function.
+ * The returned function's close({ timeoutMs }) flushes queued messages for at most
+ * timeoutMs (or KAFKA_FLUSH_TIMEOUT_MS) and disconnects the producer.
  *
  * @param {Object} options
  * @param {string} options.stream_field
  *      Used to construct the kafka topic
  * @param {string} options.schema_uri_field
  *      Used to construct the kafka topic if stream_field is not set.
+ * @param {string} options.ordering_key_field
+ *      If set, the value at this field is used as the Kafka key.
  * @param {Object} options.kafka.conf
  *      node-rdkafka KafkaProducer configuration
  * @param {Object} options.kafka.topic_conf
@@ -250,6 +968,7 @@ async function makeKafkaProduce(options, logger, metrics) {
     // This default EventGate implementation uses the stream_name
     // extracted from the event as the topic.
     const extractTopic = makeExtractStream(options);
+    const extractKey = makeExtractOrderingKey(options);
 
     const kafkaProducer = await kafkaFactory.GuaranteedProducer.factory(
         options.kafka.conf,
@@ -270,11 +989,26 @@ async function makeKafkaProduce(options, logger, metrics) {
     }
 
     // Return a new function that takes a single event argument for produce.
-    return (event, context = {}) => {
+    const kafkaProduce = (event, context = {}) => {
         const topic = extractTopic(event);
         const serializedEvent = Buffer.from(JSON.stringify(event));
-        return kafkaProducer.produce(topic, undefined, serializedEvent, undefined);
+        return kafkaProducer.produce(
+            topic, undefined, serializedEvent, extractKey(event, context)
+        );
+    };
+    // Flush any queued messages and disconnect.
+    kafkaProduce.close = async (closeOptions = {}) => {
+        const flushTimeoutMs = _.isFinite(closeOptions.timeoutMs) ?
+            Math.min(closeOptions.timeoutMs, KAFKA_FLUSH_TIMEOUT_MS) :
+            KAFKA_FLUSH_TIMEOUT_MS;
+        await new Promise((resolve, reject) => {
+            kafkaProducer.flush(flushTimeoutMs, (err) => (err ? reject(err) : resolve()));
+        });
+        await new Promise((resolve) => {
+            kafkaProducer.disconnect(resolve);
+        });
     };
+    return kafkaProduce;
 }
 
 /**
@@ -319,7 +1053,7 @@ async function makeProduce(options, logger, metrics) {
     }
 
     // Return a new function that takes a single event argument for produce.
-    return async (event, context = {}) => {
+    const produce = async (event, context = {}) => {
         if (fileProduce) {
             await fileProduce(event, context);
         }
@@ -327,6 +1061,679 @@ async function makeProduce(options, logger, metrics) {
             await kafkaProduce(event, context);
         }
     };
+    produce.close = makeCloseAll(fileProduce, kafkaProduce);
+    return produce;
+}
+
+/**
+ * Creates a function that will write batches of events to an output file and/or
+ * produce them to Kafka.  Each batch is written to the output file at once.
+ * Events are then produced to Kafka one by one, so that each event's
+ * Kafka produce result or Error is returned separately, as a Promise of its own.
+ * Events with the same ordering key are produced in order, see makeBatchOf.
+ * Takes the same options as makeProduce.  If options.circuit_breaker is set,
+ * producing to Kafka is wrapped in a CircuitBreaker, which is added to circuitBreakers.
+ *
+ * @param {Object} options
+ * @param {Object} logger
+ * @param {Object} metrics
+ *      service-runner metrics object.
+ * @param {Object} circuitBreakers The 'kafka' CircuitBreaker will be added here.
+ * @return {Promise<{function}>} (events, context) => Promise<Array>>}
+ */
+async function makeProduceBatch(options, logger, metrics, circuitBreakers = {}) {
+
+    const fallbackSink = options.kafka && options.kafka.conf && options.circuit_breaker ?
+        options.circuit_breaker.fallback_sink :
+        undefined;
+    const fallbackSinkConfig = makeSinkConfigs(options)[fallbackSink];
+    if (fallbackSink && (!fallbackSinkConfig || fallbackSink === 'kafka')) {
+        throw new Error(`Sink kafka has an unknown fallback_sink ${fallbackSink}`);
+    }
+    // All events are written to output_path already, falling back to it would write them twice.
+    if (
+        fallbackSink && options.output_path &&
+        fallbackSinkConfig.type === 'file' && fallbackSinkConfig.output_path === options.output_path
+    ) {
+        throw new Error(
+            `Sink kafka cannot fall back to ${fallbackSink}, ` +
+            `all events are already written to ${options.output_path}`
+        );
+    }
+
+    let fileProduceBatch;
+    if (options.output_path) {
+        fileProduceBatch = makeFileProduceBatch(options, logger, metrics);
+        logger.info('Writing valid events to ' + options.output_path);
+    }
+
+    let kafkaProduce;
+    if (options.kafka && options.kafka.conf) {
+        kafkaProduce = await makeKafkaProduce(options, logger, metrics);
+        logger.info('Producing valid events to Kafka at ' + options.kafka.conf['metadata.broker.list']);
+    }
+
+    let fallbackProduceBatch;
+    if (kafkaProduce && options.circuit_breaker) {
+        if (fallbackSink) {
+            fallbackProduceBatch = (
+                await makeSink(fallbackSink, fallbackSinkConfig, options, logger, metrics)
+            ).produceBatch;
+        }
+        circuitBreakers.kafka = makeCircuitBreaker(
+            'kafka',
+            _.defaults(
+                {}, options.circuit_breaker, { call_timeout_ms: options.produce_timeout_ms }
+            ),
+            fallbackProduceBatch,
+            logger,
+            metrics
+        );
+    }
+    const close = makeCloseAll(fileProduceBatch, kafkaProduce, fallbackProduceBatch);
+    if (circuitBreakers.kafka) {
+        kafkaProduce = circuitBreakers.kafka.wrap(kafkaProduce);
+    }
+
+    const kafkaProduceBatch = kafkaProduce ? makeBatchOf(kafkaProduce, options) : undefined;
+
+    const produceBatch = async (events, context = {}) => {
+        // If writing the batch to the file fails, all of its events fail.
+        if (fileProduceBatch) {
+            await fileProduceBatch(events, context);
+        }
+        if (kafkaProduceBatch) {
+            return kafkaProduceBatch(events, context);
+        }
+        return events.map(() => undefined);
+    };
+    produceBatch.close = close;
+    return produceBatch;
+}
+
+/**
+ * Returns a function that returns the sinks an event should be produced to,
+ * according to options.routes.  Each route is an object with:
+ * - sinks: names of the sinks to produce matching events to.
+ * - streams: if given, only events with a stream matching one of these match the route.
+ * - schema_uris: if given, only events with a schema URI matching one of these match the route.
+ * - continue: if true, the following routes are matched too.  Default: false
+ * - optional: if true, failures to produce to this route's sinks do not fail the event.
+ *      Default: false
+ * Patterns in streams and schema_uris are exact strings or /regex/ (see stringMatches).
+ * If an event matches multiple routes with the same sink, the sink is only optional
+ * if it is optional in all of these routes.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.routes
+ * @param {string} options.stream_field
+ * @param {string} options.schema_uri_field
+ * @return {function(Object, Object): Array<Object>}
+ *      (event, context) => Array of { sink, optional }.  Empty if the event matches no route.
+ * @throws {Error} if a route has no sinks.
+ */
+function makeRoute(options) {
+    const extractStream = makeExtractStream(options);
+    const extractSchemaUri = makeExtractSchemaUri(options);
+
+    const routes = options.routes.map((route, i) => {
+        if (_.isEmpty(route.sinks)) {
+            throw new Error(`Route ${i} must have sinks`);
+        }
+        return _.defaults({}, route, { continue: false, optional: false });
+    });
+
+    // Returns true if the value extracted from event by extract matches any of patterns,
+    // or if there are no patterns.
+    function matchesAny(patterns, extract, event, context) {
+        if (_.isUndefined(patterns)) {
+            return true;
+        }
+        let value;
+        try {
+            value = extract(event, context);
+        } catch (err) {
+            return false;
+        }
+        return _.castArray(patterns).some((pattern) => stringMatches(value, pattern));
+    }
+
+    return (event, context = {}) => {
+        const sinks = new Map();
+        for (const route of routes) {
+            if (
+                !matchesAny(route.streams, extractStream, event, context) ||
+                !matchesAny(route.schema_uris, extractSchemaUri, event, context)
+            ) {
+                continue;
+            }
+            route.sinks.forEach((sink) => {
+                // A sink is only optional if it is optional in all matching routes.
+                const optional = sinks.has(sink) ? sinks.get(sink) : true;
+                sinks.set(sink, optional && route.optional);
+            });
+            if (!route.continue) {
+                break;
+            }
+        }
+        return Array.from(sinks, ([sink, optional]) => ({ sink, optional }));
+    };
+}
+
+/**
+ * Returns the sink configs of options.sinks, keyed by sink name.  If options.output_path is
+ * set, there is a 'file' sink that writes to it, and if options.kafka.conf is set, there is
+ * a 'kafka' sink that produces to it.
+ *
+ * @param {Object} options
+ * @return {Object}
+ */
+function makeSinkConfigs(options) {
+    const sinkConfigs = {};
+    if (options.output_path) {
+        sinkConfigs.file = { type: 'file', output_path: options.output_path };
+    }
+    if (options.kafka && options.kafka.conf) {
+        sinkConfigs.kafka = _.assign({ type: 'kafka' }, options.kafka);
+    }
+    return _.assign(sinkConfigs, options.sinks);
+}
+
+/**
+ * Returns an EventGate~produceBatch function that produces each event with produce,
+ * resulting in a Promise of either produce's result or its Error for each event.
+ * The events' Promises settle independently, so that a slow event does not hold
+ * up (or time out) the others.
+ *
+ * If options.ordering_key_field is set, events with the same ordering key are
+ * produced one after the other, in the order they are given.  If an event fails
+ * with an Error that produce_retry would retry, the following events with its
+ * key are not produced, but fail with a retryable Error too, so that they are
+ * retried after it rather than overtaking it.
+ *
+ * @param {EventGate~produce} produce
+ * @param {Object} options
+ * @param {string} options.ordering_key_field
+ * @param {Object} options.produce_retry
+ * @return {EventGate~produceBatch}
+ */
+function makeBatchOf(produce, options = {}) {
+    const extractOrderingKey = makeExtractOrderingKey(options);
+    const isRetryable = makeIsRetryableProduceError(options);
+
+    const produceBatch = async (events, context = {}) => {
+        // The result of the last event with each ordering key.
+        const lastResults = new Map();
+        return events.map((event) => {
+            const produceEvent = async () => {
+                try {
+                    return await produce(event, context);
+                } catch (err) {
+                    return err;
+                }
+            };
+
+            const key = extractOrderingKey(event, context);
+            if (_.isUndefined(key)) {
+                return produceEvent();
+            }
+            const result = Promise.resolve(lastResults.get(key)).then((lastResult) => {
+                if (lastResult instanceof Error && isRetryable(lastResult)) {
+                    return new Error(
+                        `Not produced after an earlier event with ordering key ${key} ` +
+                        `failed: ${lastResult.message}`
+                    );
+                }
+                return produceEvent();
+            });
+            lastResults.set(key, result);
+            return result;
+        });
+    };
+    produceBatch.close = produce.close;
+    return produceBatch;
+}
+
+/**
+ * Creates a single sink from sinkConfig.
+ *
+ * @param {string} name
+ * @param {Object} sinkConfig
+ * @param {Object} options used to extract Kafka topics from events.
+ * @param {Object} logger
+ * @param {Object} metrics
+ * @return {Promise<Object>}
+ *      of { produceBatch }, and for Kafka sinks the per event produce function in produce.
+ * @throws {Error} if sinkConfig has an unknown type.
+ */
+async function makeSink(name, sinkConfig, options, logger, metrics) {
+    if (sinkConfig.type === 'file') {
+        logger.info(`Sink ${name} writes events to ${sinkConfig.output_path}`);
+        return { produceBatch: makeFileProduceBatch(sinkConfig, logger, metrics) };
+    } else if (sinkConfig.type === 'kafka') {
+        const produce = await makeKafkaProduce(
+            _.defaults({ kafka: _.pick(sinkConfig, ['conf', 'topic_conf']) }, options),
+            logger,
+            metrics
+        );
+        logger.info(
+            `Sink ${name} produces events to Kafka at ${sinkConfig.conf['metadata.broker.list']}`
+        );
+        return { produce, produceBatch: makeBatchOf(produce, options) };
+    }
+    throw new Error(`Sink ${name} has unknown type ${sinkConfig.type}, must be file or kafka`);
+}
+
+/**
+ * Creates the named sinks of options.sinks, each as an EventGate~produceBatch function.
+ * A sink has a type of either:
+ * - file, with output_path
+ * - kafka, with conf and topic_conf.  Events are produced to the topic named by their stream.
+ * If options.output_path is set, there is a 'file' sink that writes to it, and if
+ * options.kafka.conf is set, there is a 'kafka' sink that produces to it.
+ * If options.circuit_breaker (or a sink's own circuit_breaker) is set, Kafka sinks
+ * are wrapped in a CircuitBreaker, which is added to circuitBreakers.
+ *
+ * @param {Object} options
+ * @param {Object} options.sinks
+ * @param {Object} logger
+ * @param {Object} metrics
+ * @param {Object} circuitBreakers CircuitBreakers keyed by sink name will be added here.
+ * @return {Promise<Object>} of produceBatch functions keyed by sink name.
+ * @throws {Error} if a sink has an unknown type.
+ */
+async function makeSinks(options, logger, metrics, circuitBreakers = {}) {
+    const sinkConfigs = makeSinkConfigs(options);
+
+    const rawSinks = {};
+    // File sinks keyed by output_path, so that sinks writing to the same file share it.
+    const fileSinks = {};
+    for (const [name, sinkConfig] of Object.entries(sinkConfigs)) {
+        if (sinkConfig.type === 'file' && fileSinks[sinkConfig.output_path]) {
+            rawSinks[name] = fileSinks[sinkConfig.output_path];
+        } else {
+            rawSinks[name] = await makeSink(name, sinkConfig, options, logger, metrics);
+        }
+        if (sinkConfig.type === 'file') {
+            fileSinks[sinkConfig.output_path] = rawSinks[name];
+        }
+    }
+
+    // Wrap Kafka sinks in CircuitBreakers.  Fallbacks use the unwrapped sinks.
+    return _.mapValues(rawSinks, (sink, name) => {
+        const circuitBreakerConfig = sinkConfigs[name].circuit_breaker || options.circuit_breaker;
+        if (!sink.produce || !circuitBreakerConfig) {
+            return sink.produceBatch;
+        }
+        const fallbackSink = circuitBreakerConfig.fallback_sink;
+        if (fallbackSink && (!rawSinks[fallbackSink] || fallbackSink === name)) {
+            throw new Error(`Sink ${name} has an unknown fallback_sink ${fallbackSink}`);
+        }
+        circuitBreakers[name] = makeCircuitBreaker(
+            name,
+            _.defaults({}, circuitBreakerConfig, { call_timeout_ms: options.produce_timeout_ms }),
+            fallbackSink ? rawSinks[fallbackSink].produceBatch : undefined,
+            logger,
+            metrics
+        );
+        const produceBatch = makeBatchOf(circuitBreakers[name].wrap(sink.produce), options);
+        produceBatch.close = sink.produceBatch.close;
+        return produceBatch;
+    });
+}
+
+/**
+ * Creates a function that produces batches of events to the sinks of the routes they
+ * match (see makeRoute and makeSinks).  Each sink gets all of its events of a batch
+ * at once.  Each event's produce result is a Promise of its own, which has the result
+ * of each of its sinks in sinks,
+ * e.g. { sinks: { kafka: { status: 'success', topic, partition, offset } } }.
+ * Events that match no route fail with an UnroutableEventError, and events that failed
+ * to be produced to any of their required sinks fail with a SinkProduceError.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.routes
+ * @param {Object} options.sinks
+ * @param {Object} logger
+ * @param {Object} metrics
+ * @param {Object} circuitBreakers CircuitBreakers of sinks will be added here.
+ * @return {Promise<EventGate~produceBatch>}
+ * @throws {Error} if a route has an unknown sink.
+ */
+async function makeRoutedProduceBatch(options, logger, metrics, circuitBreakers = {}) {
+    const route = makeRoute(options);
+    const sinks = await makeSinks(options, logger, metrics, circuitBreakers);
+
+    const unknownSinks = _.difference(_.uniq(_.flatMap(options.routes, 'sinks')), _.keys(sinks));
+    if (!_.isEmpty(unknownSinks)) {
+        throw new Error(`Routes have unknown sinks ${unknownSinks.join(', ')}`);
+    }
+
+    const routedProduceBatch = async (events, context = {}) => {
+        const eventRoutes = events.map((event) => route(event, context));
+
+        // Produce each sink's events together.
+        const sinkEvents = {};
+        // The position of each event in the batches of its sinks.
+        const sinkPositions = events.map(() => ({}));
+        eventRoutes.forEach((routes, i) => {
+            routes.forEach(({ sink }) => {
+                sinkEvents[sink] = sinkEvents[sink] || [];
+                sinkPositions[i][sink] = sinkEvents[sink].length;
+                sinkEvents[sink].push(i);
+            });
+        });
+        const sinkBatches = _.mapValues(sinkEvents, async (indexes, sink) => {
+            try {
+                return await sinks[sink](indexes.map((i) => events[i]), context);
+            } catch (err) {
+                return indexes.map(() => err);
+            }
+        });
+
+        // Each event's result is a Promise of its own, that settles once all of
+        // its sinks are done with it.
+        return eventRoutes.map(async (routes, i) => {
+            if (_.isEmpty(routes)) {
+                return new UnroutableEventError('Event did not match any route');
+            }
+
+            const sinkResults = await Promise.all(routes.map(async ({ sink }) => {
+                const results = await sinkBatches[sink];
+                try {
+                    return await results[sinkPositions[i][sink]];
+                } catch (err) {
+                    return err;
+                }
+            }));
+
+            const sinkStatuses = {};
+            const causes = [];
+            routes.forEach(({ sink, optional }, r) => {
+                const result = sinkResults[r];
+                if (result instanceof Error) {
+                    sinkStatuses[sink] = { status: 'error', message: result.message };
+                    if (!optional) {
+                        causes.push(result);
+                    }
+                } else {
+                    sinkStatuses[sink] = _.assign(
+                        { status: 'success' },
+                        _.pick(result, ['topic', 'partition', 'offset', 'fallback_sink'])
+                    );
+                }
+            });
+
+            if (!_.isEmpty(causes)) {
+                const failedSinks = _.keys(_.pickBy(sinkStatuses, { status: 'error' }));
+                return new SinkProduceError(
+                    `Failed producing event to ${failedSinks.join(', ')}: ${causes[0].message}`,
+                    { sinks: sinkStatuses, causes }
+                );
+            }
+            return { sinks: sinkStatuses };
+        });
+    };
+    routedProduceBatch.close = makeCloseAll(..._.values(sinks));
+    return routedProduceBatch;
+}
+
+/**
+ * Numeric values of CircuitBreaker states, as reported in metrics.
+ */
+const CIRCUIT_BREAKER_STATE_VALUES = {
+    [CircuitBreaker.STATES.CLOSED]: 0,
+    [CircuitBreaker.STATES.HALF_OPEN]: 1,
+    [CircuitBreaker.STATES.OPEN]: 2
+};
+
+/**
+ * Creates a CircuitBreaker for sink name from circuitBreakerConfig.  State changes are
+ * logged, and the state is reported in metrics as 0 (closed), 1 (half open) or 2 (open).
+ *
+ * @param {string} name
+ * @param {Object} circuitBreakerConfig
+ * @param {number} circuitBreakerConfig.failure_ratio
+ * @param {number} circuitBreakerConfig.min_calls
+ * @param {number} circuitBreakerConfig.window_ms
+ * @param {number} circuitBreakerConfig.open_ms
+ * @param {number} circuitBreakerConfig.half_open_trials
+ * @param {number} circuitBreakerConfig.call_timeout_ms
+ * @param {EventGate~produceBatch} fallbackProduceBatch
+ *      If given, events are produced with this while the circuit is open, and their
+ *      produce results will have fallback_sink set to circuitBreakerConfig.fallback_sink.
+ * @param {Object} logger
+ * @param {Object} metrics
+ * @return {CircuitBreaker}
+ */
+function makeCircuitBreaker(name, circuitBreakerConfig, fallbackProduceBatch, logger, metrics) {
+    let stateMetric;
+    if (metrics && metrics.makeMetric) {
+        stateMetric = metrics.makeMetric({
+            type: 'Gauge',
+            name: 'eventgate.circuit_breaker_state',
+            prometheus: {
+                name: 'eventgate_circuit_breaker_state',
+                help: 'State of produce circuit breakers: 0 closed, 1 half open, 2 open',
+                staticLabels: metrics.getServiceLabel()
+            },
+            labels: {
+                names: ['sink']
+            }
+        });
+    }
+
+    let fallback;
+    if (fallbackProduceBatch) {
+        const fallbackSink = circuitBreakerConfig.fallback_sink;
+        fallback = async (event, context = {}) => {
+            const [resultPromise] = await fallbackProduceBatch([event], context);
+            const result = await resultPromise;
+            if (result instanceof Error) {
+                throw result;
+            }
+            return _.assign({}, result, { fallback_sink: fallbackSink });
+        };
+    }
+
+    const circuitBreaker = new CircuitBreaker({
+        name,
+        failureRatio: circuitBreakerConfig.failure_ratio,
+        minCalls: circuitBreakerConfig.min_calls,
+        windowMs: circuitBreakerConfig.window_ms,
+        openMs: circuitBreakerConfig.open_ms,
+        halfOpenTrials: circuitBreakerConfig.half_open_trials,
+        callTimeout: circuitBreakerConfig.call_timeout_ms,
+        isFailure: (err) => !(err instanceof ValidationError),
+        fallback,
+        onStateChange: (state, previousState) => {
+            const message = `Circuit breaker of sink ${name} changed from ${previousState} to ${state}`;
+            if (state === CircuitBreaker.STATES.OPEN) {
+                logger.error(message);
+            } else {
+                logger.warn(message);
+            }
+            if (stateMetric) {
+                stateMetric.set(CIRCUIT_BREAKER_STATE_VALUES[state], [name]);
+            }
+        }
+    });
+    if (stateMetric) {
+        stateMetric.set(CIRCUIT_BREAKER_STATE_VALUES[circuitBreaker.state], [name]);
+    }
+    return circuitBreaker;
+}
+
+/**
+ * librdkafka error codes for errors that are likely transient, and worth retrying.
+ * See https://github.com/edenhill/librdkafka/blob/master/src/rdkafka.h
+ */
+const RETRYABLE_KAFKA_ERROR_CODES = [
+    -195, // ERR__TRANSPORT
+    -192, // ERR__MSG_TIMED_OUT
+    -187, // ERR__ALL_BROKERS_DOWN
+    -185, // ERR__TIMED_OUT
+    -184, // ERR__QUEUE_FULL
+    5,    // ERR_LEADER_NOT_AVAILABLE
+    6,    // ERR_NOT_LEADER_FOR_PARTITION
+    7,    // ERR_REQUEST_TIMED_OUT
+    19,   // ERR_NOT_ENOUGH_REPLICAS
+    20    // ERR_NOT_ENOUGH_REPLICAS_AFTER_APPEND
+];
+
+/**
+ * Decides if a produce Error should be retried.  Kafka errors (which have numeric
+ * librdkafka error codes) are retried only if they are transient, e.g. a full
+ * producer queue, but not e.g. if a message is too large.  ValidationErrors,
+ * UnroutableEventErrors and CircuitOpenErrors are never retried.  EventTimeoutErrors are
+ * not retried either, as the timed out produce might still complete and duplicate the event.
+ * All other Errors are retried.
+ *
+ * @param {Error} err
+ * @return {boolean}
+ */
+function isRetryableProduceError(err) {
+    if (
+        err instanceof ValidationError ||
+        err instanceof EventTimeoutError ||
+        err instanceof UnroutableEventError ||
+        err instanceof CircuitOpenError
+    ) {
+        return false;
+    }
+    if (err instanceof SinkProduceError) {
+        return err.causes.some(isRetryableProduceError);
+    }
+    if (_.isNumber(err.code)) {
+        return err.isRetriable === true || RETRYABLE_KAFKA_ERROR_CODES.includes(err.code);
+    }
+    return true;
+}
+
+/**
+ * Returns a function that decides if a produce Error will be retried according to
+ * options.produce_retry.  This is isRetryableProduceError, except that timeouts are
+ * retried if produce_retry.retry_timeouts is true.  If produce_retry is not set,
+ * nothing is retried.
+ *
+ * @param {Object} options
+ * @param {Object} options.produce_retry
+ * @return {Function} (err) => boolean
+ */
+function makeIsRetryableProduceError(options) {
+    if (!options.produce_retry) {
+        return _.constant(false);
+    }
+    return (err) => {
+        if (err instanceof EventTimeoutError) {
+            return options.produce_retry.retry_timeouts === true;
+        }
+        return isRetryableProduceError(err);
+    };
+}
+
+/**
+ * Creates a RetryPolicy for produce from options.produce_retry,
+ * or returns undefined if options.produce_retry is not set.
+ * Every retry is logged and counted in metrics.
+ *
+ * @param {Object} options
+ * @param {Object} options.produce_retry
+ * @param {number} options.produce_retry.max_attempts
+ * @param {number} options.produce_retry.base_delay_ms
+ * @param {number} options.produce_retry.max_delay_ms
+ * @param {boolean} options.produce_retry.retry_timeouts
+ * @param {number} options.produce_retry.jitter
+ * @param {Object} logger
+ * @param {Object} metrics
+ * @return {RetryPolicy|undefined}
+ */
+function makeProduceRetryPolicy(options, logger, metrics) {
+    if (!options.produce_retry) {
+        return undefined;
+    }
+
+    let retriesMetric;
+    if (metrics && metrics.makeMetric) {
+        retriesMetric = metrics.makeMetric({
+            type: 'Counter',
+            name: 'eventgate.produce_retries',
+            prometheus: {
+                name: 'eventgate_produce_retries_total',
+                help: 'Number of times producing an event was retried',
+                staticLabels: metrics.getServiceLabel()
+            },
+            labels: {
+                names: ['attempt']
+            }
+        });
+    }
+
+    return new RetryPolicy({
+        maxAttempts: options.produce_retry.max_attempts,
+        baseDelayMs: options.produce_retry.base_delay_ms,
+        maxDelayMs: options.produce_retry.max_delay_ms,
+        jitter: options.produce_retry.jitter,
+        isRetryable: makeIsRetryableProduceError(options),
+        onRetry: (err, attempt, delayMs) => {
+            logger.warn(
+                { err },
+                `Produce attempt ${attempt} failed, retrying in ${delayMs} ms: ${err.message}`
+            );
+            if (retriesMetric) {
+                retriesMetric.increment(1, [String(attempt)]);
+            }
+        }
+    });
+}
+
+/**
+ * Creates a DeadLetterSpool from options.dead_letter, or returns undefined
+ * if options.dead_letter.directory is not set.
+ *
+ * @param {Object} options
+ * @param {Object} options.dead_letter
+ * @param {string} options.dead_letter.directory
+ * @param {number} options.dead_letter.max_file_bytes
+ * @param {number} options.dead_letter.max_files
+ * @param {Object} logger
+ * @return {DeadLetterSpool|undefined}
+ */
+function makeDeadLetterSpool(options, logger) {
+    if (!_.get(options, 'dead_letter.directory')) {
+        return undefined;
+    }
+    logger.info(`Writing events that fail to be produced to ${options.dead_letter.directory}`);
+    return new DeadLetterSpool({
+        directory: options.dead_letter.directory,
+        maxFileBytes: options.dead_letter.max_file_bytes,
+        maxFiles: options.dead_letter.max_files,
+        log: logger
+    });
+}
+
+/**
+ * Returns a function that calls the close() functions of all given
+ * produce or produceBatch functions that have one, one after the other.
+ * Each close() function is only called once, even if several of produceFns share it.
+ * If it is given a timeoutMs, each close() is given the time that is left of it.
+ *
+ * @param {...Function} produceFns
+ * @return {function(Object): Promise} ({ timeoutMs }) => Promise
+ */
+function makeCloseAll(...produceFns) {
+    const closeFns = _.uniq(_.compact(_.map(_.compact(produceFns), 'close')));
+    return async (closeOptions = {}) => {
+        const deadline = _.isFinite(closeOptions.timeoutMs) ?
+            Date.now() + closeOptions.timeoutMs :
+            undefined;
+        for (const close of closeFns) {
+            await close(_.isUndefined(deadline) ?
+                {} :
+                { timeoutMs: Math.max(0, deadline - Date.now()) }
+            );
+        }
+    };
 }
 
 /**
@@ -343,6 +1750,40 @@ async function makeProduce(options, logger, metrics) {
  *      If set, this is suffixed to schema URIs that dont' already have a file extension.
  * @param {string} options.stream_field
  *      Optionally used to extract the event's destination stream name.
+ * @param {string} options.stream_config_uri
+ *      If set, stream config will be loaded from here and used to restrict
+ *      which schemas may be produced to which streams.
+ * @param {string} options.enrich_id_field
+ * @param {string} options.enrich_dt_field
+ * @param {string} options.enrich_received_dt_field
+ * @param {string} options.enrich_request_id_field
+ *      If set, events will be enriched with server side values at these fields.
+ *      See makeEnrichEvent.
+ * @param {Object} options.sampling
+ *      If set, events of configured streams will be sampled.  See makeSampling.
+ * @param {Object} options.dedup
+ *      If set, events will be deduplicated by options.dedup.id_field.
+ * @param {number} options.concurrency
+ *      Maximum number of events per request to process concurrently.
+ * @param {string} options.ordering_key_field
+ *      If set, events with the same value at this field will be processed in order.
+ * @param {number} options.max_in_flight_events
+ *      Maximum number of events to process concurrently across all requests.
+ * @param {number} options.schema_load_timeout_ms
+ * @param {number} options.validate_timeout_ms
+ * @param {number} options.produce_timeout_ms
+ *      If set, schema loading, validation and produce will time out after this
+ *      many milliseconds.
+ * @param {Object} options.produce_retry
+ *      If set, failed produces will be retried.  See makeProduceRetryPolicy.
+ * @param {Object} options.dead_letter
+ *      If set, events that fail to be produced will be spooled.  See makeDeadLetterSpool.
+ * @param {Object} options.sinks
+ * @param {Array<Object>} options.routes
+ *      If set, events will be produced to the sinks of their routes.  See makeRoutedProduceBatch.
+ * @param {Object} options.circuit_breaker
+ *      If set, producing to Kafka will be wrapped in CircuitBreakers.  See makeCircuitBreaker.
+ *      They are set in the returned EventGate's circuitBreakers, keyed by sink name.
  * @param {Object} options.kafka
  * @param {Object} options.kafka.conf
  *      node-rdkafka KafkaProducer configuration
@@ -357,14 +1798,46 @@ async function eventGateFactory(options, logger, metrics) {
     // Set default options
     _.defaults(options, defaultOptions);
 
-    return new EventGate({
+    const streamConfigs = await makeStreamConfigs(options, logger);
+    const eventValidator = makeEventValidator(options, logger);
+    await preloadSchemas(eventValidator, options, logger);
+    // CircuitBreakers of sinks, keyed by sink name.
+    const circuitBreakers = {};
+
+    const eventGate = new EventGate({
         // This EventGate instance will use the EventValidator's
         // validate function to validate incoming events.
-        validate: makeValidate(options, logger),
-        // This EventGate instance will use a kafka producer
-        produce: await makeProduce(options, logger, metrics),
+        validate: makeValidate(options, logger, streamConfigs, eventValidator),
+        // This EventGate instance will use a kafka producer.  All valid events
+        // of a request will be produced together.  If routes are configured,
+        // events are only produced to the sinks of their routes.
+        produceBatch: options.routes ?
+            await makeRoutedProduceBatch(options, logger, metrics, circuitBreakers) :
+            await makeProduceBatch(options, logger, metrics, circuitBreakers),
+        stages: makeStages(options, logger, metrics, streamConfigs),
+        concurrency: options.concurrency,
+        orderingKey: options.ordering_key_field ?
+            makeExtractField(options.ordering_key_field) : undefined,
+        maxInFlight: options.max_in_flight_events,
+        validateTimeout: options.validate_timeout_ms,
+        produceTimeout: options.produce_timeout_ms,
+        produceRetry: makeProduceRetryPolicy(options, logger, metrics),
         log: logger
     });
+
+    // Expose the CircuitBreakers' states, e.g. in /_info/circuit_breakers.
+    eventGate.circuitBreakers = circuitBreakers;
+    // Expose how streams are extracted from events, e.g. to rate limit streams.
+    eventGate.extractStream = makeExtractStream(options);
+    // Expose the EventValidator, e.g. to invalidate its cached schemas.
+    eventGate.eventValidator = eventValidator;
+
+    const deadLetterSpool = makeDeadLetterSpool(options, logger);
+    if (deadLetterSpool) {
+        deadLetterSpool.attach(eventGate);
+    }
+
+    return eventGate;
 }
 
 module.exports = {
@@ -372,8 +1845,25 @@ module.exports = {
     defaultOptions,
     makeExtractStream,
     makeExtractSchemaUri,
+    makeStreamConfigs,
+    makeAjvPlugins,
+    makeEventValidator,
+    preloadSchemas,
     makeValidate,
+    makeEnrichEvent,
+    makeSchemaUpgrades,
+    makeSampling,
+    makeStages,
     makeProduce,
+    makeProduceBatch,
+    makeRoute,
+    makeSinks,
+    makeRoutedProduceBatch,
+    makeCircuitBreaker,
+    makeProduceRetryPolicy,
+    isRetryableProduceError,
+    makeDeadLetterSpool,
     makeFileProduce,
+    makeFileProduceBatch,
     makeKafkaProduce
 };
@@ -0,0 +1,198 @@
+'use strict';
+
+const _ = require('lodash');
+
+const {
+    EventStatus
+} = require('./eventgate');
+
+EventStatus.register('rate_limited', { httpStatus: 429 });
+
+/**
+ * A token bucket that holds at most burst tokens, and is refilled with rate tokens
+ * per second.  Each event takes one token.
+ */
+class TokenBucket {
+    /**
+     * @constructor
+     * @param {Object} limits
+     * @param {number} limits.rate tokens added per second.
+     * @param {number} limits.burst maximum number of tokens.  Default: rate
+     */
+    constructor(limits) {
+        this.rate = limits.rate;
+        this.burst = _.get(limits, 'burst', limits.rate);
+        if (!(this.rate > 0) || !(this.burst > 0)) {
+            throw new Error('Cannot instantiate TokenBucket, rate and burst must be positive');
+        }
+        this.tokens = this.burst;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Adds the tokens that have accumulated since the last refill.
+     */
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Takes count tokens if there are enough.  If count is larger than burst, the
+     * tokens are taken if the bucket is full, leaving it in debt until it refills.
+     *
+     * @param {number} count
+     * @return {number}
+     *      0 if the tokens were taken, else the number of seconds until they would be available.
+     */
+    take(count = 1) {
+        this._refill();
+        const needed = Math.min(count, this.burst);
+        if (this.tokens >= needed) {
+            this.tokens -= count;
+            return 0;
+        }
+        return Math.ceil((needed - this.tokens) / this.rate);
+    }
+}
+
+/**
+ * Rate limits keys (e.g. client IPs or stream names) with a TokenBucket per key.
+ * At most maxKeys buckets are kept.  If more keys are seen, the buckets of the
+ * least recently created keys are forgotten first.
+ */
+class RateLimiter {
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {number} options.rate default tokens per second for each key.
+     * @param {number} options.burst default maximum tokens for each key.
+     * @param {number} options.maxKeys maximum number of buckets to keep. Default: 10000
+     */
+    constructor(options = {}) {
+        this.limits = { rate: options.rate, burst: options.burst };
+        this.maxKeys = _.get(options, 'maxKeys', 10000);
+        this._buckets = new Map();
+    }
+
+    /**
+     * Takes count tokens from key's bucket.
+     *
+     * @param {string} key
+     * @param {number} count
+     * @param {Object} limits
+     *      { rate, burst } to create key's bucket with, if it doesn't exist yet.
+     *      Default: the limits this RateLimiter was created with.
+     * @return {number} 0 if allowed, else the number of seconds to retry after.
+     */
+    take(key, count = 1, limits = this.limits) {
+        let bucket = this._buckets.get(key);
+        if (_.isUndefined(bucket)) {
+            bucket = new TokenBucket(limits);
+            this._buckets.set(key, bucket);
+            if (this._buckets.size > this.maxKeys) {
+                this._buckets.delete(this._buckets.keys().next().value);
+            }
+        }
+        return bucket.take(count);
+    }
+}
+
+/**
+ * Returns the key to rate limit a client request by.  This is the value of
+ * options.api_key_header if options.key is 'api_key' and the request has that header
+ * with one of options.api_keys, else the client's IP.  Other API keys are ignored,
+ * as clients could otherwise get a fresh rate limit by sending a new API key.
+ *
+ * The client's IP is the remote address of the connection, unless EventGate is behind
+ * options.trusted_proxies proxies that append the address they got the request
+ * from to X-Forwarded-For.  Then it is the address that the outermost of these
+ * proxies added, i.e. the trusted_proxies-th address from the right (counting the
+ * remote address, which is the innermost proxy).  Addresses further left
+ * are set by the client, and cannot be trusted.
+ *
+ * @param {http.ClientRequest} req
+ * @param {Object} options
+ * @param {string} options.key 'ip' or 'api_key'.  Default: 'ip'
+ * @param {string} options.api_key_header Default: 'x-api-key'
+ * @param {Array<string>} options.api_keys API keys that clients may be keyed by.
+ * @param {number} options.trusted_proxies Default: 0
+ * @return {string}
+ */
+function clientKey(req, options = {}) {
+    if (options.key === 'api_key') {
+        const apiKey = req.headers[_.get(options, 'api_key_header', 'x-api-key').toLowerCase()];
+        if (apiKey && _.includes(options.api_keys, apiKey)) {
+            return `api_key:${apiKey}`;
+        }
+    }
+
+    const addresses = [req.connection.remoteAddress];
+    const trustedProxies = _.get(options, 'trusted_proxies', 0);
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (trustedProxies > 0 && forwardedFor) {
+        addresses.unshift(...forwardedFor.split(',').map(_.trim));
+    }
+    return `ip:${addresses[Math.max(addresses.length - 1 - trustedProxies, 0)]}`;
+}
+
+/**
+ * Creates an EventGate stage that gives events a 'rate_limited' EventStatus if
+ * their stream has exceeded its rate limit.  Each stream gets its own bucket, even if
+ * its limits are configured by a /regex/ matching multiple streams.
+ *
+ * @param {Object} options
+ * @param {function(Object, Object): string} options.extractStream
+ * @param {StreamConfigs} options.streamLimits { rate, burst } keyed by stream name or /regex/.
+ * @param {Object} options.log
+ *      If given, rate limited events will be logged here.
+ * @return {Object} stage with name and fn.
+ */
+function makeStreamRateLimitStage(options) {
+    const rateLimiter = new RateLimiter();
+
+    return {
+        name: 'rate_limit',
+
+        fn: (event, context = {}) => {
+            let stream;
+            try {
+                stream = options.extractStream(event, context);
+            } catch (err) {
+                // Leave events without a stream to validation.
+                return event;
+            }
+
+            const limits = options.streamLimits.get(stream);
+            if (_.isUndefined(limits)) {
+                return event;
+            }
+
+            const retryAfterSeconds = rateLimiter.take(stream, 1, limits);
+            if (retryAfterSeconds === 0) {
+                return event;
+            }
+
+            if (options.log) {
+                options.log.debug(`Event for stream ${stream} was rate limited.`);
+            }
+            return new EventStatus(
+                'rate_limited',
+                {
+                    message: `Stream ${stream} exceeded its rate limit of ${limits.rate} events per second`,
+                    stream,
+                    retry_after_seconds: retryAfterSeconds
+                },
+                event
+            );
+        }
+    };
+}
+
+module.exports = {
+    TokenBucket,
+    RateLimiter,
+    clientKey,
+    makeStreamRateLimitStage
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+const _      = require('lodash');
+const bunyan = require('bunyan');
+const fs     = require('fs');
+const path   = require('path');
+const yaml   = require('js-yaml');
+
+const {
+    requireRelative
+} = require('./event-util');
+const {
+    readDeadLetterFile
+} = require('./dead-letter');
+const {
+    EventStatus
+} = require('./eventgate');
+
+const usage = `Usage: eventgate replay [-c config.yaml] [--batch-size N] [--remove] <file>...
+
+Re-processes the events in dead-letter spool files through the EventGate configured
+in config.yaml, and prints a JSON report of what was produced.
+
+Options:
+  -c, --config    service-runner config file. Default: ./config.yaml
+  --batch-size    Number of events to process at once. Default: 100
+  --remove        Delete each file once all of its events have been accepted
+  -h, --help      Show this help`;
+
+/**
+ * Returns the number of events in statuses, a count per status, that have
+ * an accepted status, e.g. success or dropped.
+ *
+ * @param {Object} statuses
+ * @return {number}
+ */
+function acceptedCount(statuses) {
+    return _.sumBy(_.keys(statuses), (status) => (
+        EventStatus.type(status).accepted ? statuses[status] : 0
+    ));
+}
+
+/**
+ * Re-processes the events of dead-letter spool files through eventGate.
+ * A file counts as replayed once all of its events have been accepted.
+ *
+ * @param {EventGate} eventGate
+ * @param {Array<string>} files
+ * @param {Object} options
+ * @param {number} options.batchSize Number of events to process at once. Default: 100
+ * @param {boolean} options.remove Delete files once all of their events were accepted.
+ * @param {Object} options.log
+ * @return {Promise<Object>}
+ *      of a report with the number of events per status in total, and for each file.
+ */
+async function replay(eventGate, files, options = {}) {
+    const batchSize = _.get(options, 'batchSize', 100);
+    const countsFor = () => _.fromPairs(EventStatus.STATUSES.map((status) => [status, 0]));
+
+    const report = { total: countsFor(), files: [] };
+    for (const file of files) {
+        const records = await readDeadLetterFile(file, options.log);
+        const fileReport = { file, events: records.length, statuses: countsFor() };
+
+        for (const batch of _.chunk(records, batchSize)) {
+            const results = await eventGate.process(
+                batch.map((record) => record.event),
+                { replay: { file } }
+            );
+            EventStatus.STATUSES.forEach((status) => {
+                fileReport.statuses[status] += results[status].length;
+                report.total[status] += results[status].length;
+            });
+        }
+
+        const accepted = acceptedCount(fileReport.statuses);
+        fileReport.replayed = accepted === records.length;
+        if (options.remove && fileReport.replayed) {
+            fs.unlinkSync(file);
+            fileReport.removed = true;
+        }
+        if (options.log) {
+            options.log.info(
+                `Replayed ${accepted} of ${records.length} events from ${file}`
+            );
+        }
+        report.files.push(fileReport);
+    }
+    return report;
+}
+
+/**
+ * Parses eventgate replay command line arguments.
+ *
+ * @param {Array<string>} args
+ * @return {Object} { config, batchSize, remove, help, files }
+ * @throws {Error} on unknown or incomplete options.
+ */
+function parseArgs(args) {
+    const parsed = { config: './config.yaml', batchSize: 100, remove: false, help: false, files: [] };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-c' || arg === '--config' || arg === '--batch-size') {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} requires a value`);
+            }
+            if (arg === '--batch-size') {
+                parsed.batchSize = parseInt(args[++i], 10);
+                if (!(parsed.batchSize > 0)) {
+                    throw new Error('--batch-size must be a positive number');
+                }
+            } else {
+                parsed.config = args[++i];
+            }
+        } else if (arg === '--remove') {
+            parsed.remove = true;
+        } else if (arg === '-h' || arg === '--help') {
+            parsed.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            parsed.files.push(arg);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Returns the EventGate app's conf from a service-runner config file.
+ *
+ * @param {string} configPath
+ * @return {Object}
+ */
+function loadAppConf(configPath) {
+    const config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+    const services = _.get(config, 'services', []);
+    const service = services.find((s) => /app(\.js)?$/.test(s.module || '')) || services[0];
+    if (!service) {
+        throw new Error(`No services are configured in ${configPath}`);
+    }
+    return _.cloneDeep(service.conf || {});
+}
+
+/**
+ * Entry point of eventgate replay.  Creates an EventGate with the configured
+ * eventgate_factory_module and replays the given dead-letter files through it.
+ * Events that fail again are not written to the dead-letter spool, their files are
+ * kept instead so that they can be replayed once more.  The EventGate is closed before
+ * this returns, so that its sinks have been flushed before the process exits.
+ *
+ * @param {Array<string>} args command line arguments after 'replay'.
+ * @return {Promise<number>} the process exit code.
+ */
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs(args);
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${usage}\n`);
+        return 2;
+    }
+    if (parsed.help || _.isEmpty(parsed.files)) {
+        process.stderr.write(`${usage}\n`);
+        return parsed.help ? 0 : 2;
+    }
+
+    const conf = loadAppConf(parsed.config);
+    conf.app_base_path = path.resolve(__dirname, '..');
+    // Don't spool events that fail again, the files they came from are kept instead.
+    delete conf.dead_letter;
+
+    const log = bunyan.createLogger({ name: 'eventgate-replay', level: 'info', stream: process.stderr });
+    const factoryModule = _.get(
+        conf, 'eventgate_factory_module', '../lib/factories/default-eventgate'
+    );
+    const eventGate = await requireRelative(
+        factoryModule, [process.cwd(), conf.app_base_path]
+    ).factory(conf, log);
+
+    let report;
+    try {
+        report = await replay(eventGate, parsed.files, {
+            batchSize: parsed.batchSize,
+            remove: parsed.remove,
+            log
+        });
+    } finally {
+        await eventGate.close();
+    }
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    return acceptedCount(report.total) === _.sumBy(report.files, 'events') ? 0 : 1;
+}
+
+module.exports = {
+    replay,
+    parseArgs,
+    loadAppConf,
+    main
+};
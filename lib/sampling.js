@@ -0,0 +1,88 @@
+'use strict';
+
+const _      = require('lodash');
+const crypto = require('crypto');
+
+const {
+    EventStatus
+} = require('./eventgate');
+
+EventStatus.register('sampled_out', { accepted: true });
+
+/**
+ * Deterministically maps key to a number in [0, 1), so that the same key
+ * is always either sampled in or out at a given rate.
+ *
+ * @param {string} key
+ * @return {number}
+ */
+function keyRatio(key) {
+    const hash = crypto.createHash('sha1').update(String(key)).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Returns true if an event with key should be kept when sampling at rate.
+ * If key is undefined, the event is sampled randomly.
+ *
+ * @param {number} rate between 0 (keep nothing) and 1 (keep everything).
+ * @param {string|undefined} key
+ * @return {boolean}
+ */
+function isSampledIn(rate, key) {
+    if (rate >= 1) {
+        return true;
+    }
+    if (!(rate > 0)) {
+        return false;
+    }
+    const ratio = _.isUndefined(key) ? Math.random() : keyRatio(key);
+    return ratio < rate;
+}
+
+/**
+ * Creates an EventGate stage that gives events that are sampled out a 'sampled_out'
+ * EventStatus, rather than letting them be produced.
+ *
+ * @param {Object} options
+ * @param {function(Object, Object): Object} options.getSampling
+ *      Returns the sampling settings for an event as { rate, keyField }, or undefined
+ *      if the event should not be sampled.  If keyField is set, events are sampled
+ *      deterministically by the value at this dotted path, so that all events with the
+ *      same value are either kept or sampled out.  Otherwise events are sampled randomly.
+ * @param {Object} options.log
+ *      If given, sampled out events will be logged here.
+ * @return {Object} stage with name and fn.
+ */
+function makeSamplingStage(options) {
+    return {
+        name: 'sampling',
+
+        fn: (event, context = {}) => {
+            const sampling = options.getSampling(event, context);
+            if (_.isUndefined(sampling) || _.isUndefined(sampling.rate)) {
+                return event;
+            }
+
+            const key = sampling.keyField ? _.get(event, sampling.keyField) : undefined;
+            if (isSampledIn(sampling.rate, _.isNil(key) ? undefined : key)) {
+                return event;
+            }
+
+            if (options.log) {
+                options.log.trace(`Event was sampled out at rate ${sampling.rate}.`);
+            }
+            return new EventStatus(
+                'sampled_out',
+                { message: `Event was sampled out at rate ${sampling.rate}`, rate: sampling.rate },
+                event
+            );
+        }
+    };
+}
+
+module.exports = {
+    keyRatio,
+    isSampledIn,
+    makeSamplingStage
+};
@@ -1,12 +1,34 @@
 'use strict';
 
+const http  = require('http');
 const sUtil = require('../lib/util');
 const _     = require('lodash');
 
+const {
+    EventGateOverloadedError,
+    ValidationError
+} = require('../lib/error');
+
+const {
+    requireRelative
+} = require('../lib/event-util');
+
+const {
+    EventStatus
+} = require('../lib/eventgate');
+
+const StreamConfigs = require('../lib/StreamConfigs');
+const {
+    RateLimiter,
+    clientKey,
+    makeStreamRateLimitStage
+} = require('../lib/rate-limit');
+
 /**
- * The main router object
+ * The main router object.  This is created anew whenever the app is (re)started,
+ * so that its routes don't use an EventGate that was closed when the app was stopped.
  */
-const router = sUtil.router();
+let router;
 
 /**
  * The main application object reported when this module is require()d
@@ -14,33 +36,165 @@ const router = sUtil.router();
 let app;
 
 /**
- * Given module path m, this will attempt to require it
- * with the extra paths at the end of module.paths.
- * module.paths will be unmodified when this function returns.
+ * Responds with 503 and a Retry-After header, telling the client that EventGate
+ * is currently processing too many events to accept more.
+ *
+ * @param {Object} conf
+ * @param {http.ClientRequest} req
+ * @param {http.ServerResponse} res
+ * @param {string} statusMessage
+ */
+function respondOverloaded(conf, req, res, statusMessage) {
+    req.logger.log('warn/events', statusMessage);
+    res.statusMessage = statusMessage;
+    res.set('Retry-After', String(_.get(conf, 'retry_after_seconds', 1)));
+    res.status(503);
+    res.end();
+}
+
+/**
+ * Returns the HTTP status of a /v1/events response, given the EventStatus types
+ * (see EventStatus.register) of the events that were accepted and that failed:
+ * - 201 if all events were accepted.
+ * - 207 if some events were accepted, but others failed.
+ * - If all events failed, the httpStatus of their types if they all have the same one.
+ *   If they are all client errors (4xx), the highest of these.  Else 500.
  *
- * @param {string} m
- * @param {Array<string>} paths list of extra paths to search for module.
- * @return {any}
+ * @param {Array<Object>} acceptedTypes
+ * @param {Array<Object>} failedTypes
+ * @return {number}
  */
-function requireRelative(m, paths = [process.cwd()]) {
-    const originalModulePaths = module.paths;
-    paths.forEach((path) => module.paths.push(path));
-    try {
-        return require(m);
-    } finally {
-        module.paths = originalModulePaths;
+function responseHttpStatus(acceptedTypes, failedTypes) {
+    if (_.isEmpty(failedTypes)) {
+        return 201;
     }
+    if (!_.isEmpty(acceptedTypes)) {
+        return 207;
+    }
+
+    const httpStatuses = _.uniq(_.map(failedTypes, 'httpStatus'));
+    if (httpStatuses.length === 1) {
+        return httpStatuses[0];
+    }
+    if (httpStatuses.every((httpStatus) => httpStatus >= 400 && httpStatus < 500)) {
+        return _.max(httpStatuses);
+    }
+    return 500;
+}
+
+/**
+ * Describes the number of events of each EventStatus type, e.g. '1 invalid and 2 timed out'.
+ *
+ * @param {Array<Object>} statusTypes
+ * @param {Object} counts number of events keyed by status.
+ * @return {string}
+ */
+function describeCounts(statusTypes, counts) {
+    const descriptions = statusTypes.map((type) => `${counts[type.status]} ${type.description}`);
+    return descriptions.length > 1 ?
+        `${_.initial(descriptions).join(', ')} and ${_.last(descriptions)}` :
+        descriptions.join('');
+}
+
+/**
+ * Returns true if the request has a Prefer: return=representation header (RFC 7240).
+ *
+ * @param {http.ClientRequest} req
+ * @return {boolean}
+ */
+function prefersRepresentation(req) {
+    return (req.headers.prefer || '').split(',').some((preference) => {
+        return preference.split(';')[0].trim().toLowerCase() === 'return=representation';
+    });
+}
+
+/**
+ * Returns true if the client asked for a verbose response, that has the EventStatuses
+ * of all events, including produce results of successful events.  This is asked for
+ * with a verbose query parameter (unless it is 'false'), or with a
+ * Prefer: return=representation header.
+ *
+ * @param {http.ClientRequest} req
+ * @return {boolean}
+ */
+function isVerbose(req) {
+    if (_.has(req.query, 'verbose')) {
+        return req.query.verbose !== 'false';
+    }
+    return prefersRepresentation(req);
+}
+
+/**
+ * Returns the normalized validation failures (see ValidationError failures()) of
+ * all invalid events, each with the index of its event in the request.
+ *
+ * @param {Array<EventStatus>} eventStatuses
+ * @return {Array<Object>}
+ */
+function validationFailures(eventStatuses) {
+    return _.flatMap(eventStatuses, (eventStatus) => {
+        if (!(eventStatus.context instanceof ValidationError)) {
+            return [];
+        }
+        return eventStatus.context.failures(eventStatus.event).map((failure) => {
+            return _.assign({ index: eventStatus.index }, failure);
+        });
+    });
+}
+
+/**
+ * Returns an RFC 7807 problem details object for a /v1/events response in which
+ * some events failed.  Its type is about:blank, so its title is the HTTP status
+ * phrase.  Besides the standard members, this has the validation failures
+ * of all invalid events in failures, and the EventStatuses keyed by status
+ * as in other /v1/events responses.
+ *
+ * @param {http.ClientRequest} req
+ * @param {number} httpStatus
+ * @param {string} statusMessage
+ * @param {Object} eventStatuses Arrays of EventStatuses keyed by status.
+ * @return {Object}
+ */
+function problemDetails(req, httpStatus, statusMessage, eventStatuses) {
+    return _.assign({
+        type: 'about:blank',
+        title: http.STATUS_CODES[httpStatus],
+        status: httpStatus,
+        detail: statusMessage,
+        method: req.method,
+        uri: req.originalUrl,
+        failures: validationFailures(_.flatten(_.values(eventStatuses)))
+    }, eventStatuses);
+}
+
+/**
+ * Responds with 429 and a Retry-After header, telling the client that
+ * it has sent too many events.
+ *
+ * @param {http.ClientRequest} req
+ * @param {http.ServerResponse} res
+ * @param {number} retryAfterSeconds
+ * @param {string} statusMessage
+ */
+function respondRateLimited(req, res, retryAfterSeconds, statusMessage) {
+    req.logger.log('warn/events', statusMessage);
+    res.statusMessage = statusMessage;
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429);
+    res.end();
 }
 
 /**
  * Handles incoming JSON events in req.body with the EventGate instance.
  *
  * @param {EventGate} eventGate
+ * @param {RateLimiter|undefined} clientRateLimiter
+ *      If given, limits the events per client, see rate_limit.client.
  * @param {Object} conf config object to provide in eventGate.process context.
  * @param {http.ClientRequest} req
  * @param {http.ServerResponse} res
  */
-async function handleEvents(eventGate, conf, req, res) {
+async function handleEvents(eventGate, clientRateLimiter, conf, req, res) {
 
     // If empty body, return 400 now.
     if (_.isEmpty(req.body)) {
@@ -62,6 +216,33 @@ async function handleEvents(eventGate, conf, req, res) {
         conf
     };
 
+    // If EventGate is already processing too many events, don't accept any more.
+    // This is checked before a hasty response is sent, so that hasty clients get
+    // a 503 too, rather than having their events dropped.  It is checked before clients
+    // are rate limited, so that requests rejected with a 503 don't use up their rate limit.
+    if (!eventGate.hasCapacityFor(events.length)) {
+        respondOverloaded(
+            conf, req, res,
+            eventGate.closing ?
+                `EventGate is shutting down, cannot accept ${events.length} events now.` :
+                `EventGate is overloaded, cannot accept ${events.length} events now.`
+        );
+        return;
+    }
+
+    // If this client has sent too many events, don't accept any more from it for now.
+    if (clientRateLimiter) {
+        const client = clientKey(req, conf.rate_limit.client);
+        const retryAfterSeconds = clientRateLimiter.take(client, events.length);
+        if (retryAfterSeconds > 0) {
+            respondRateLimited(
+                req, res, retryAfterSeconds,
+                `Client ${client} exceeded its rate limit, cannot accept ${events.length} events now.`
+            );
+            return;
+        }
+    }
+
     // If the requester wants a hasty response, return now!
     if (req.query.hasty) {
         res.statusMessage = `${events.length} events hastily received.`;
@@ -74,6 +255,11 @@ async function handleEvents(eventGate, conf, req, res) {
         // Process events (validate and produce)
         results = await eventGate.process(events, context);
     } catch (err) {
+        if (err instanceof EventGateOverloadedError && !res.finished) {
+            respondOverloaded(conf, req, res, err.message);
+            return;
+        }
+
         // Error and end response now if we encounter anything unexpected.
         // This probably shouldn't happen, as eventGate.process should catch Errors
         // and reform them into error EventStatuses.
@@ -86,67 +272,95 @@ async function handleEvents(eventGate, conf, req, res) {
         throw err;
     }
 
-    // Respond with appropriate HTTP status based on status of processing all events.
-    const successCount = results.success.length;
-    const invalidCount = results.invalid.length;
-    const errorCount   = results.error.length;
-    const failureCount = results.invalid.length + results.error.length;
+    // Respond with appropriate HTTP status based on the types of the statuses of all events.
+    const counts = _.pickBy(
+        _.mapValues(_.pick(results, EventStatus.STATUSES), 'length'),
+        (count) => count > 0
+    );
+    const statusTypes = _.keys(counts).map((status) => EventStatus.type(status));
+    const [acceptedTypes, failedTypes] = _.partition(statusTypes, 'accepted');
+    const acceptedCount = _.sumBy(acceptedTypes, (type) => counts[type.status]);
+    const failureCount = _.sumBy(failedTypes, (type) => counts[type.status]);
+    const httpStatus = responseHttpStatus(acceptedTypes, failedTypes);
 
-    if (failureCount === 0) {
-        // No failures, all events produced successfully: 204
-        const statusMessage =
-            `All ${successCount} out of ${events.length} events were accepted.`;
-        req.logger.log('debug/events', statusMessage);
+    // Accepted events that were not produced, e.g. dropped or duplicate events.
+    const notProducedTypes = acceptedTypes.filter((type) => type.status !== 'success');
+    const notProducedMessage = _.isEmpty(notProducedTypes) ? '' :
+        ` (${describeCounts(notProducedTypes, counts)})`;
+    // Failed events may be retried after the longest Retry-After any of them was given,
+    // e.g. once all of the streams of rate limited events have capacity again.
+    const retryAfterSeconds = _.max(_.flatMap(failedTypes, (type) => {
+        return results[type.status].map((eventStatus) => {
+            return _.get(eventStatus.context, 'retry_after_seconds');
+        });
+    }));
+    // Events sent with old schema versions might have been upgraded.
+    const upgradedCount = _.get(context, 'schemaUpgrades', []).length;
+    const upgradedMessage = upgradedCount ?
+        ` ${upgradedCount} events were upgraded to newer schema versions.` : '';
 
-        // Only set response if it hasn't yet finished,
-        // i.e. hasty response was not requested.
-        if (!res.finished) {
-            res.statusMessage = statusMessage;
-            res.status(201);
-            res.end();
-        }
-    } else if (invalidCount === events.length) {
-        // All events were invalid: 400
-        const statusMessage = `${invalidCount} out of ${events.length} ` +
-            'events were invalid and not accepted.';
+    let statusMessage;
+    if (httpStatus === 201) {
+        // No failures, all events produced successfully (or not produced on purpose).
+        statusMessage = `All ${acceptedCount} out of ${events.length} events were accepted` +
+            `${notProducedMessage}.${upgradedMessage}`;
+        req.logger.log('debug/events', statusMessage);
+    } else if (httpStatus === 207) {
+        // Some successes, but also some failures.
+        statusMessage = `${acceptedCount} out of ${events.length} ` +
+            `events were accepted${notProducedMessage}, ` +
+            `but ${failureCount} failed (${describeCounts(failedTypes, counts)}).` +
+            upgradedMessage;
         req.logger.log('warn/events', statusMessage);
+    } else {
+        statusMessage = `${failureCount} out of ${events.length} events failed and ` +
+            `were not accepted (${describeCounts(failedTypes, counts)}).`;
+        req.logger.log(httpStatus < 500 ? 'warn/events' : 'error/events', statusMessage);
+    }
 
-        if (!res.finished) {
-            res.statusMessage = statusMessage;
-            res.status(400);
-            res.json({ invalid: results.invalid });
-        }
-    } else if (failureCount !== events.length) {
-        // Some successes, but also some failures (invalid or errored): 207
-        const statusMessage = `${results.success.length} out of ${events.length} ` +
-            `events were accepted, but ${failureCount} failed (${invalidCount} ` +
-            `invalid and ${errorCount} errored).`;
-        req.logger.log('warn/events', statusMessage);
+    // Only set response if it hasn't yet finished,
+    // i.e. hasty response was not requested.
+    if (res.finished) {
+        return;
+    }
+    res.statusMessage = statusMessage;
+    if (retryAfterSeconds) {
+        res.set('Retry-After', String(retryAfterSeconds));
+    }
+    res.status(httpStatus);
 
-        if (!res.finished) {
-            res.statusMessage = statusMessage;
-            res.status(207);
-            res.json({ invalid: results.invalid, error: results.error });
+    // Verbose responses have the EventStatuses of all events, whatever the HTTP status.
+    // Else failure responses have the EventStatuses of all failure statuses.
+    // Responses with an error status are application/problem+json.  Partial success
+    // (207) responses have the same body, but as application/json.
+    const verbose = isVerbose(req);
+    if (verbose && prefersRepresentation(req)) {
+        res.set('Preference-Applied', 'return=representation');
+    }
+    const eventStatuses = verbose ?
+        _.pick(results, EventStatus.STATUSES) :
+        _.pick(results, EventStatus.STATUSES.filter((status) => {
+            return !EventStatus.type(status).accepted;
+        }));
+
+    if (httpStatus === 201) {
+        if (verbose) {
+            res.json(eventStatuses);
+        } else {
+            res.end();
         }
     } else {
-        // All events had some failure with at least one error
-        // (some might have been invalid): 500
-        const statusMessage = `${failureCount} out of ${events.length} ` +
-            `events had failures and were not accepted. (${invalidCount} ` +
-            `invalid and ${errorCount} errored).`;
-        req.logger.log('error/events', statusMessage);
-
-        if (!res.finished) {
-            res.statusMessage = statusMessage;
-            res.status(500);
-            res.json({ invalid: results.invalid, error: results.error });
+        if (httpStatus >= 400) {
+            res.type('application/problem+json');
         }
+        res.json(problemDetails(req, httpStatus, statusMessage, eventStatuses));
     }
 }
 
 module.exports = async (appObj) => {
 
     app = appObj;
+    router = sUtil.router();
 
     // Instantiate EventGate from app.conf.  If eventgate_factory_module, require it
     // to create a custom EventGate instance.  Otherwise, use the default-eventgate factory.
@@ -165,8 +379,45 @@ module.exports = async (appObj) => {
     const eventGate = await requireRelative(eventGateFactoryModule, pathsToSearch).factory(
         app.conf, app.logger._logger, app.metrics, router
     );
+    // Make the EventGate instance available to other routes, e.g. /_info.
+    app.eventGate = eventGate;
+
+    // Let any configured eventgate_plugin_modules attach to the EventGate instance,
+    // e.g. to subscribe to its lifecycle events.
+    for (const pluginModule of _.get(app.conf, 'eventgate_plugin_modules', [])) {
+        app.logger.log('info/events', `Attaching EventGate plugin ${pluginModule}`);
+        await requireRelative(pluginModule, pathsToSearch).plugin(
+            eventGate, app.conf, app.logger._logger, app.metrics
+        );
+    }
+
+    // Rate limit clients before processing their requests, and streams per event
+    // with a stage.  The stage runs after validation, so that invalid events
+    // don't use up their stream's rate limit.
+    let clientRateLimiter;
+    if (_.get(app.conf, 'rate_limit.client')) {
+        clientRateLimiter = new RateLimiter({
+            rate: app.conf.rate_limit.client.rate,
+            burst: app.conf.rate_limit.client.burst,
+            maxKeys: app.conf.rate_limit.client.max_clients
+        });
+    }
+    if (_.get(app.conf, 'rate_limit.streams')) {
+        if (!_.isFunction(eventGate.extractStream)) {
+            throw new Error(
+                'rate_limit.streams is configured, but the EventGate made by ' +
+                `${eventGateFactoryModule} has no extractStream function`
+            );
+        }
+        eventGate.addStage('postValidate', makeStreamRateLimitStage({
+            extractStream: eventGate.extractStream,
+            streamLimits: new StreamConfigs(app.conf.rate_limit.streams),
+            log: app.logger._logger
+        }));
+    }
+
     router.post('/events', (req, res) => {
-        handleEvents(eventGate, app.conf, req, res);
+        handleEvents(eventGate, clientRateLimiter, app.conf, req, res);
     });
 
     // If test_events are configured, then set up an GET /v1/_test/events route
@@ -176,7 +427,7 @@ module.exports = async (appObj) => {
     if (app.conf.test_events) {
         router.get('/_test/events', (req, res) => {
             req.body = _.cloneDeep(app.conf.test_events);
-            handleEvents(eventGate, app.conf, req, res);
+            handleEvents(eventGate, clientRateLimiter, app.conf, req, res);
         });
     }
 
@@ -50,6 +50,17 @@ router.get('/version', (req, res) => {
 
 });
 
+/**
+ * GET /circuit_breakers
+ * Gets the state of the EventGate's produce circuit breakers, if it has any
+ */
+router.get('/circuit_breakers', (req, res) => {
+
+	const circuitBreakers = app.eventGate && app.eventGate.circuitBreakers;
+	res.json({ circuit_breakers: circuitBreakers || {} });
+
+});
+
 /**
  * ALL /home
  * Redirects to the service's home page if one is given,
@@ -4,9 +4,23 @@
 
 // Service entry point. Try node server --help for commandline options.
 
-// Start the service by running service-runner, which in turn loads the config
-// (config.yaml by default, specify other path with -c). It requires the
-// module(s) specified in the config 'services' section (app.js in this
-// example).
-const ServiceRunner = require('service-runner');
-new ServiceRunner().start();
+if (process.argv[2] === 'replay') {
+    // eventgate replay <file>... re-processes dead-letter spool files instead of
+    // starting the service.  Try eventgate replay --help for its options.
+    // Exit explicitly, as e.g. a Kafka producer would otherwise keep the process running.
+    /* eslint-disable no-process-exit */
+    require('./lib/replay').main(process.argv.slice(3)).then((exitCode) => {
+        process.exit(exitCode);
+    }, (err) => {
+        process.stderr.write(`${err.stack}\n`);
+        process.exit(1);
+    });
+    /* eslint-enable no-process-exit */
+} else {
+    // Start the service by running service-runner, which in turn loads the config
+    // (config.yaml by default, specify other path with -c). It requires the
+    // module(s) specified in the config 'services' section (app.js in this
+    // example).
+    const ServiceRunner = require('service-runner');
+    new ServiceRunner().start();
+}
@@ -45,6 +45,10 @@ describe('service information', function () {
 		return checkRet('version');
 	});
 
+	it('should get the circuit breakers', () => {
+		return checkRet('circuit_breakers');
+	});
+
 	it('should redirect to the service home page', () => {
 		return preq.get({
 			uri: `${infoUri}home`,
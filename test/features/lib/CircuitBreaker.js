@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+const CircuitBreaker = require('../../../lib/CircuitBreaker');
+const {
+    ValidationError,
+    CircuitOpenError,
+    EventTimeoutError
+} = require('../../../lib/error');
+
+const fail = () => {
+    throw new Error('Kafka is down');
+};
+const succeed = () => 'ok';
+
+/**
+ * Calls fn through circuitBreaker count times, ignoring failures.
+ *
+ * @param {CircuitBreaker} circuitBreaker
+ * @param {Function} fn
+ * @param {number} count
+ * @return {Promise}
+ */
+async function callTimes(circuitBreaker, fn, count) {
+    for (let i = 0; i < count; i++) {
+        await circuitBreaker.run(fn).catch(() => {});
+    }
+}
+
+describe('CircuitBreaker', () => {
+    it('should throw if failureRatio is not between 0 and 1', () => {
+        assert.throws(() => new CircuitBreaker({ failureRatio: 0 }));
+        assert.throws(() => new CircuitBreaker({ failureRatio: 1.5 }));
+    });
+
+    it('should stay closed until minCalls calls were made', async() => {
+        const circuitBreaker = new CircuitBreaker({ minCalls: 4 });
+        await callTimes(circuitBreaker, fail, 3);
+        assert.equal(circuitBreaker.currentState(), 'closed');
+        await callTimes(circuitBreaker, fail, 1);
+        assert.equal(circuitBreaker.currentState(), 'open');
+    });
+
+    it('should stay closed while failures are below failureRatio', async() => {
+        const circuitBreaker = new CircuitBreaker({ minCalls: 2, failureRatio: 0.5 });
+        await callTimes(circuitBreaker, succeed, 3);
+        await callTimes(circuitBreaker, fail, 2);
+        assert.equal(circuitBreaker.currentState(), 'closed');
+        await callTimes(circuitBreaker, fail, 1);
+        assert.equal(circuitBreaker.currentState(), 'open');
+    });
+
+    it('should not count errors that are not failures', async() => {
+        const circuitBreaker = new CircuitBreaker({ minCalls: 1 });
+        await callTimes(circuitBreaker, () => {
+            throw new ValidationError('invalid', []);
+        }, 3);
+        assert.equal(circuitBreaker.currentState(), 'closed');
+    });
+
+    it('should count calls that time out as failures', async() => {
+        const circuitBreaker = new CircuitBreaker({ minCalls: 1, callTimeout: 10 });
+        const hang = () => new Promise(() => {});
+        await assert.rejects(circuitBreaker.run(hang), EventTimeoutError);
+        assert.equal(circuitBreaker.currentState(), 'open');
+        await assert.rejects(circuitBreaker.run(hang), CircuitOpenError);
+    });
+
+    it('should fail fast while open', async() => {
+        const circuitBreaker = new CircuitBreaker({ minCalls: 1 });
+        await callTimes(circuitBreaker, fail, 1);
+
+        let called = false;
+        await assert.rejects(
+            circuitBreaker.run(() => {
+                called = true;
+            }),
+            CircuitOpenError
+        );
+        assert.equal(called, false);
+    });
+
+    it('should call fallback while open', async() => {
+        const circuitBreaker = new CircuitBreaker({
+            minCalls: 1,
+            fallback: (event) => `fallback ${event}`
+        });
+        const wrapped = circuitBreaker.wrap(fail);
+        await wrapped('a').catch(() => {});
+        assert.equal(await wrapped('b'), 'fallback b');
+    });
+
+    it('should close after successful half-open trials', async() => {
+        const states = [];
+        const circuitBreaker = new CircuitBreaker({
+            minCalls: 1,
+            openMs: 10,
+            halfOpenTrials: 2,
+            onStateChange: (state) => states.push(state)
+        });
+        await callTimes(circuitBreaker, fail, 1);
+        await P.delay(20);
+        assert.equal(circuitBreaker.currentState(), 'half_open');
+
+        // Only halfOpenTrials calls are let through at once.
+        const trials = [1, 2, 3].map(() => circuitBreaker.run(() => P.delay(5).then(succeed)));
+        const results = await Promise.all(trials.map((trial) => trial.catch((err) => err)));
+        assert.deepEqual(results.slice(0, 2), ['ok', 'ok']);
+        assert.ok(results[2] instanceof CircuitOpenError);
+        assert.equal(circuitBreaker.currentState(), 'closed');
+        assert.deepEqual(states, ['open', 'half_open', 'closed']);
+    });
+
+    it('should open again if a half-open trial fails', async() => {
+        const circuitBreaker = new CircuitBreaker({ minCalls: 1, openMs: 10 });
+        await callTimes(circuitBreaker, fail, 1);
+        await P.delay(20);
+        await callTimes(circuitBreaker, fail, 1);
+        assert.equal(circuitBreaker.currentState(), 'open');
+    });
+
+    it('should serialize its state', async() => {
+        const circuitBreaker = new CircuitBreaker({ name: 'kafka', minCalls: 1 });
+        await callTimes(circuitBreaker, fail, 1);
+        const json = circuitBreaker.toJSON();
+        assert.equal(json.name, 'kafka');
+        assert.equal(json.state, 'open');
+        assert.ok(json.opened_at);
+    });
+});
@@ -11,6 +11,7 @@ const {
 const EventValidator    = require('../../../lib/EventValidator');
 const {
     EventSchemaLoadError,
+    EventTimeoutError,
     ValidationError
 } = require('../../../lib/error');
 
@@ -207,4 +208,418 @@ describe('EventValidator test instance', () => {
         assert.deepEqual(e1, e2);
     });
 
+    it('should fail with EventTimeoutError if loading schema takes longer than schemaLoadTimeout', async() => {
+        const slowEventValidator = new EventValidator({
+            extractSchemaUri,
+            getSchema: (uri) => new Promise((resolve) => setTimeout(() => resolve(getSchema(uri)), 100)),
+            schemaLoadTimeout: 20,
+            log: logger
+        });
+
+        await assert.rejects(slowEventValidator.validate(testEvent_v1_0), EventTimeoutError);
+    });
+
+});
+
+describe('ValidationError failures', () => {
+    const schemas = {
+        '/failures/0.0.1': {
+            $id: '/failures/0.0.1',
+            type: 'object',
+            required: ['name'],
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string' },
+                'a/b~c': { type: 'array', items: { type: 'integer', maximum: 3 } },
+                'it\'s': { enum: [1, 2] }
+            }
+        }
+    };
+    const event = { 'a/b~c': [1, 7], 'it\'s': 5, extra: true };
+
+    async function failuresWith(ajvConfig) {
+        const eventValidator = new EventValidator({
+            extractSchemaUri: () => '/failures/0.0.1',
+            getSchema: (uri) => Promise.resolve(JSON.parse(JSON.stringify(schemas[uri]))),
+            ajvConfig,
+            log: logger
+        });
+        const err = await eventValidator.validate(event).catch((e) => e);
+        assert(err instanceof ValidationError);
+        return err.failures(event);
+    }
+
+    const expectedFailures = [
+        {
+            pointer: '/extra',
+            keyword: 'additionalProperties',
+            schema_path: '#/additionalProperties',
+            actual: true,
+            message: 'should NOT have additional properties'
+        },
+        {
+            pointer: '/name',
+            keyword: 'required',
+            schema_path: '#/required',
+            message: 'should have required property \'name\''
+        },
+        {
+            pointer: '/a~1b~0c/1',
+            keyword: 'maximum',
+            schema_path: '#/properties/a~1b~0c/items/maximum',
+            expected: '<= 3',
+            actual: 7,
+            message: 'should be <= 3'
+        },
+        {
+            pointer: '/it\'s',
+            keyword: 'enum',
+            schema_path: '#/properties/it\'s/enum',
+            expected: [1, 2],
+            actual: 5,
+            message: 'should be equal to one of the allowed values'
+        }
+    ];
+
+    it('should normalize Ajv errors to failures with JSON Pointers', async() => {
+        assert.deepEqual(await failuresWith(), expectedFailures);
+    });
+
+    it('should normalize Ajv errors if Ajv uses JSON Pointers itself', async() => {
+        assert.deepEqual(await failuresWith({ jsonPointers: true }), expectedFailures);
+    });
+});
+
+describe('EventValidator ajvPlugins', () => {
+    const schemas = {
+        '/plugin/0.0.1': {
+            $id: '/plugin/0.0.1',
+            type: 'object',
+            properties: {
+                dt: { type: 'string', format: 'iso-8601-date-time-tz', maxLength: 64 },
+                even: { type: 'integer', even: true }
+            }
+        },
+        '/plugin_insecure/0.0.1': {
+            $id: '/plugin_insecure/0.0.1',
+            type: 'object',
+            properties: {
+                dt: { type: 'string', format: 'iso-8601-date-time-tz' }
+            }
+        }
+    };
+
+    const eventValidator = new EventValidator({
+        getSchema: (uri) => Promise.resolve(JSON.parse(JSON.stringify(schemas[uri]))),
+        ajvPlugins: [
+            require('../../../lib/ajv-formats'),
+            { keywords: { even: { type: 'number', validate: (schema, data) => data % 2 === 0 } } }
+        ],
+        log: logger
+    });
+
+    it('should validate events with custom formats and keywords', async() => {
+        const validator = await eventValidator.validatorAt('/plugin/0.0.1');
+        assert.equal(validator({ dt: '2020-01-01T00:00:00Z', even: 2 }), true);
+        assert.equal(validator({ dt: '2020-01-01T00:00:00', even: 2 }), false);
+        assert.equal(validator({ dt: '2020-01-01T00:00:00Z', even: 1 }), false);
+    });
+
+    it('should not add insecure regex formats', () => {
+        const makeWithFormat = (format, allowInsecureSchemas = false) => new EventValidator({
+            ajvPlugins: [{ formats: { custom: format } }],
+            allowInsecureSchemas,
+            log: logger
+        });
+        assert.throws(() => makeWithFormat(/[a-z]+/), /must start with \^ and end with \$/);
+        assert.throws(() => makeWithFormat('^[a-z]+'), /must start with \^ and end with \$/);
+        assert.throws(
+            () => makeWithFormat({ type: 'string', validate: /^(a+)+$/ }), /nested quantifiers/
+        );
+        assert.throws(() => makeWithFormat(/^((?:ab?))*$/), /nested quantifiers/);
+        assert.throws(() => makeWithFormat({ type: 'string' }), /must be a RegExp/);
+        assert.ok(makeWithFormat(/^([a-z]+_)?[a-z]{1,10}$/));
+        assert.ok(makeWithFormat(/^[(+]+$/));
+        assert.ok(makeWithFormat((value) => value.length > 0));
+        assert.ok(makeWithFormat(/[a-z]+/, true));
+    });
+
+    it('should fail loading schemas that use custom formats insecurely', async() => {
+        await assert.rejects(
+            eventValidator.validatorAt('/plugin_insecure/0.0.1'),
+            (err) => err instanceof EventSchemaLoadError &&
+                err.originalError instanceof ValidationError
+        );
+    });
+});
+
+describe('EventValidator schema cache', () => {
+    let schemas;
+    let loads;
+
+    function makeEventValidator(options = {}) {
+        return new EventValidator(Object.assign({
+            getSchema: (uri) => {
+                loads.push(uri);
+                if (uri.startsWith('/unavailable/')) {
+                    return Promise.reject(Object.assign(new Error('Unavailable'), { status: 503 }));
+                }
+                if (!schemas[uri]) {
+                    return Promise.reject(
+                        Object.assign(new Error(`No schema at ${uri}`), { status: 404 })
+                    );
+                }
+                return Promise.resolve(JSON.parse(JSON.stringify(schemas[uri])));
+            },
+            log: logger
+        }, options));
+    }
+
+    beforeEach(() => {
+        loads = [];
+        schemas = {
+            '/cached/0.0.1': {
+                $id: '/schemas/cached/0.0.1',
+                type: 'object',
+                properties: { test: { type: 'string' } }
+            },
+            '/with_ref/0.0.1': {
+                $id: '/schemas/with_ref/0.0.1',
+                type: 'object',
+                properties: { ref: { $ref: '/ref/0.0.1' } }
+            },
+            '/ref/0.0.1': {
+                $id: '/ref/0.0.1',
+                type: 'string'
+            }
+        };
+    });
+
+    it('should evict a validator by both its URI and $id', async() => {
+        const eventValidator = makeEventValidator();
+        const validator = await eventValidator.validatorAt('/cached/0.0.1');
+        assert.equal(await eventValidator.validatorAt('/schemas/cached/0.0.1'), validator);
+        assert.deepEqual(loads, ['/cached/0.0.1']);
+
+        assert.equal(eventValidator.invalidate('/schemas/cached/0.0.1'), true);
+        assert.equal(eventValidator.ajv.getSchema('/cached/0.0.1'), undefined);
+        assert.equal(eventValidator.invalidate('/cached/0.0.1'), false);
+
+        schemas['/cached/0.0.1'].properties.test.type = 'integer';
+        const reloadedValidator = await eventValidator.validatorAt('/cached/0.0.1');
+        assert.notEqual(reloadedValidator, validator);
+        assert.equal(reloadedValidator({ test: 1 }), true);
+        assert.deepEqual(loads, ['/cached/0.0.1', '/cached/0.0.1']);
+    });
+
+    it('should not evict meta schemas', () => {
+        const eventValidator = makeEventValidator();
+        assert.equal(eventValidator.invalidate('http://json-schema.org/draft-04/schema'), false);
+        assert(eventValidator.ajv.getSchema('http://json-schema.org/draft-04/schema'));
+    });
+
+    it('should evict all cached schemas on clear', async() => {
+        const eventValidator = makeEventValidator();
+        await eventValidator.validatorAt('/cached/0.0.1');
+        await eventValidator.validatorAt('/with_ref/0.0.1');
+        eventValidator.clear();
+
+        assert.equal(eventValidator.ajv.getSchema('/schemas/cached/0.0.1'), undefined);
+        assert.equal(eventValidator.ajv.getSchema('/ref/0.0.1'), undefined);
+        await eventValidator.validatorAt('/with_ref/0.0.1');
+        assert.deepEqual(
+            loads,
+            ['/cached/0.0.1', '/with_ref/0.0.1', '/ref/0.0.1', '/with_ref/0.0.1', '/ref/0.0.1']
+        );
+    });
+
+    it('should refresh expired validators in the background', async() => {
+        const eventValidator = makeEventValidator({ schemaCacheTtl: 20 });
+        const validator = await eventValidator.validatorAt('/with_ref/0.0.1');
+        assert.equal(validator({ ref: 'a string' }), true);
+
+        schemas['/ref/0.0.1'].type = 'integer';
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        // The stale validator is returned while the schema is being refreshed.
+        assert.equal(await eventValidator.validatorAt('/with_ref/0.0.1'), validator);
+        assert.equal(await eventValidator.validatorAt('/with_ref/0.0.1'), validator);
+        await eventValidator._cacheEntries.get('/with_ref/0.0.1').refreshing;
+
+        const refreshedValidator = await eventValidator.validatorAt('/schemas/with_ref/0.0.1');
+        assert.notEqual(refreshedValidator, validator);
+        assert.equal(refreshedValidator({ ref: 1 }), true);
+        assert.deepEqual(
+            loads,
+            ['/with_ref/0.0.1', '/ref/0.0.1', '/with_ref/0.0.1', '/ref/0.0.1']
+        );
+    });
+
+    it('should keep the stale validator if refreshing fails', async() => {
+        const eventValidator = makeEventValidator({ schemaCacheTtl: 20 });
+        const validator = await eventValidator.validatorAt('/cached/0.0.1');
+
+        delete schemas['/cached/0.0.1'];
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        assert.equal(await eventValidator.validatorAt('/cached/0.0.1'), validator);
+        await eventValidator._cacheEntries.get('/cached/0.0.1').refreshing;
+
+        assert.equal(await eventValidator.validatorAt('/cached/0.0.1'), validator);
+        assert.deepEqual(loads, ['/cached/0.0.1', '/cached/0.0.1']);
+    });
+
+    it('should load and compile a schema only once for concurrent events', async() => {
+        const eventValidator = makeEventValidator();
+        const validators = await Promise.all([
+            eventValidator.validatorAt('/with_ref/0.0.1'),
+            eventValidator.validatorAt('/with_ref/0.0.1'),
+            eventValidator.validatorAt('/with_ref/0.0.1')
+        ]);
+        assert.equal(validators[1], validators[0]);
+        assert.equal(validators[2], validators[0]);
+        assert.deepEqual(loads, ['/with_ref/0.0.1', '/ref/0.0.1']);
+        assert.equal(eventValidator._loading.size, 0);
+    });
+
+    it('should not load schemas that recently failed to load again', async() => {
+        const eventValidator = makeEventValidator({ schemaLoadFailureTtl: 20 });
+        await assert.rejects(eventValidator.validatorAt('/missing/0.0.1'), EventSchemaLoadError);
+        await assert.rejects(eventValidator.validatorAt('/missing/0.0.1'), EventSchemaLoadError);
+        assert.deepEqual(loads, ['/missing/0.0.1']);
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        await assert.rejects(eventValidator.validatorAt('/missing/0.0.1'), EventSchemaLoadError);
+        assert.deepEqual(loads, ['/missing/0.0.1', '/missing/0.0.1']);
+
+        schemas['/missing/0.0.1'] = { type: 'object' };
+        assert.equal(eventValidator.invalidate('/missing/0.0.1'), true);
+        assert(await eventValidator.validatorAt('/missing/0.0.1'));
+        assert.deepEqual(loads, ['/missing/0.0.1', '/missing/0.0.1', '/missing/0.0.1']);
+    });
+
+    it('should not remember transient load failures', async() => {
+        const eventValidator = makeEventValidator({
+            schemaLoadFailureTtl: 1000,
+            schemaLoadTimeout: 10,
+            getSchema: (uri) => {
+                loads.push(uri);
+                return new Promise((resolve) => setTimeout(resolve, 50, { type: 'object' }));
+            }
+        });
+        await assert.rejects(eventValidator.validatorAt('/slow/0.0.1'), EventTimeoutError);
+        await assert.rejects(eventValidator.validatorAt('/slow/0.0.1'), EventTimeoutError);
+        assert.deepEqual(loads, ['/slow/0.0.1', '/slow/0.0.1']);
+
+        const unavailableValidator = makeEventValidator({ schemaLoadFailureTtl: 1000 });
+        await assert.rejects(
+            unavailableValidator.validatorAt('/unavailable/0.0.1'), EventSchemaLoadError
+        );
+        await assert.rejects(
+            unavailableValidator.validatorAt('/unavailable/0.0.1'), EventSchemaLoadError
+        );
+        assert.deepEqual(
+            loads,
+            ['/slow/0.0.1', '/slow/0.0.1', '/unavailable/0.0.1', '/unavailable/0.0.1']
+        );
+    });
+
+    it('should not remember load failures without schemaLoadFailureTtl', async() => {
+        const eventValidator = makeEventValidator();
+        await assert.rejects(eventValidator.validatorAt('/missing/0.0.1'), EventSchemaLoadError);
+        await assert.rejects(eventValidator.validatorAt('/missing/0.0.1'), EventSchemaLoadError);
+        assert.deepEqual(loads, ['/missing/0.0.1', '/missing/0.0.1']);
+    });
+});
+
+describe('EventValidator preload', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    let tmpDir;
+    let loads;
+
+    function makeEventValidator() {
+        return new EventValidator({
+            getSchema: (uri) => {
+                loads.push(uri);
+                return urlGetObject(resolveUri(uri, baseSchemaUri));
+            },
+            log: logger
+        });
+    }
+
+    beforeEach(() => {
+        loads = [];
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eventgate-test-'));
+        fs.mkdirSync(path.join(tmpDir, 'test'));
+        fs.copyFileSync('./test/schemas/test/0.0.1', path.join(tmpDir, 'test', '0.0.1.yaml'));
+        fs.copyFileSync('./test/schemas/test/0.0.2', path.join(tmpDir, 'test', '0.0.2'));
+        fs.writeFileSync(path.join(tmpDir, '.ignored.json'), 'not a schema');
+    });
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should preload schemas in a directory', async() => {
+        const eventValidator = makeEventValidator();
+        const report = await eventValidator.preload({ directory: tmpDir });
+        assert.deepEqual(report, { preloaded: ['/test/0.0.1', '/test/0.0.2'], failed: [] });
+
+        assert.deepEqual(await eventValidator.validate(testEvent_v1_0), testEvent_v1_0);
+        assert.deepEqual(await eventValidator.validate(testEvent_v2_0), testEvent_v2_0);
+        assert.deepEqual(loads, []);
+    });
+
+    it('should load meta schemas of schema files and skip files that are not schemas', async() => {
+        const draft6Schema = './test/schemas/test_draft6/0.0.1';
+        fs.mkdirSync(path.join(tmpDir, 'test_draft6'));
+        fs.copyFileSync(draft6Schema, path.join(tmpDir, 'test_draft6', '0.0.1'));
+        fs.copyFileSync(draft6Schema, path.join(tmpDir, 'test_draft6', '0.0.1.yaml'));
+        fs.copyFileSync(
+            './test/schemas/stream-config.test.yaml', path.join(tmpDir, 'stream-config.test.yaml')
+        );
+        const draft6MetaSchemaUri = 'http://json-schema.org/draft-06/schema#';
+        const eventValidator = new EventValidator({
+            getSchema: (uri) => {
+                loads.push(uri);
+                return uri === draft6MetaSchemaUri ?
+                    Promise.resolve(require('ajv/lib/refs/json-schema-draft-06.json')) :
+                    urlGetObject(resolveUri(uri, baseSchemaUri));
+            },
+            log: logger
+        });
+
+        const report = await eventValidator.preload({ directory: tmpDir });
+        assert.deepEqual(report, {
+            preloaded: ['/test/0.0.1', '/test/0.0.2', '/test_draft6/0.0.1'],
+            failed: []
+        });
+        assert.deepEqual(loads, [draft6MetaSchemaUri]);
+    });
+
+    it('should preload schemas by URI', async() => {
+        const eventValidator = makeEventValidator();
+        const report = await eventValidator.preload({ uris: [schemaUri] });
+        assert.deepEqual(report, { preloaded: [schemaUri], failed: [] });
+
+        await eventValidator.validate(testEvent_v1_0);
+        assert.deepEqual(loads, [schemaUri]);
+    });
+
+    it('should report schemas that failed to preload', async() => {
+        fs.copyFileSync(
+            './test/schemas/test_insecure/0.0.1', path.join(tmpDir, 'test', 'insecure.yaml')
+        );
+        const eventValidator = makeEventValidator();
+        const report = await eventValidator.preload({
+            directory: tmpDir,
+            uris: ['/test/0.0.1', '/nope/0.0.1']
+        });
+
+        assert.deepEqual(report.preloaded, ['/test/0.0.1', '/test/0.0.2', '/test/0.0.1']);
+        assert.deepEqual(report.failed.map((failure) => failure.uri), ['/test/insecure', '/nope/0.0.1']);
+        assert(report.failed[0].error instanceof EventSchemaLoadError);
+        assert(report.failed[1].error instanceof EventSchemaLoadError);
+    });
 });
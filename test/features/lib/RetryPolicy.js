@@ -0,0 +1,75 @@
+'use strict';
+
+const assert = require('assert');
+const RetryPolicy = require('../../../lib/RetryPolicy');
+const { ValidationError, EventTimeoutError } = require('../../../lib/error');
+
+describe('RetryPolicy', () => {
+    it('should throw if maxAttempts is less than 1', () => {
+        assert.throws(() => {
+            new RetryPolicy({ maxAttempts: 0 });
+        });
+    });
+
+    it('should compute exponential backoff delays without jitter', () => {
+        const policy = new RetryPolicy({ baseDelayMs: 10, maxDelayMs: 50, jitter: 0 });
+        assert.deepEqual([1, 2, 3, 4].map((a) => policy.delayFor(a)), [10, 20, 40, 50]);
+    });
+
+    it('should compute jittered delays no larger than backoff delay', () => {
+        const policy = new RetryPolicy({ baseDelayMs: 10, jitter: 1 });
+        for (let i = 0; i < 10; i++) {
+            const delay = policy.delayFor(2);
+            assert.ok(delay >= 0 && delay <= 20);
+        }
+    });
+
+    it('should retry until fn succeeds', async() => {
+        const retries = [];
+        const policy = new RetryPolicy({
+            baseDelayMs: 1,
+            onRetry: (err, attempt) => retries.push(attempt)
+        });
+
+        const { result, attempts } = await policy.run((attempt) => {
+            if (attempt < 3) {
+                throw new Error(`attempt ${attempt} failed`);
+            }
+            return 'ok';
+        });
+
+        assert.equal(result, 'ok');
+        assert.equal(attempts, 3);
+        assert.deepEqual(retries, [1, 2]);
+    });
+
+    it('should give up after maxAttempts', async() => {
+        const policy = new RetryPolicy({ maxAttempts: 2, baseDelayMs: 1 });
+        await assert.rejects(
+            policy.run(() => {
+                throw new Error('always fails');
+            }),
+            (err) => err.attempts === 2
+        );
+    });
+
+    it('should not retry errors that are not retryable', async() => {
+        const policy = new RetryPolicy({ baseDelayMs: 1 });
+        await assert.rejects(
+            policy.run(() => {
+                throw new ValidationError('invalid', []);
+            }),
+            (err) => err instanceof ValidationError && err.attempts === 1
+        );
+    });
+
+    it('should not retry timed out attempts by default', async() => {
+        const policy = new RetryPolicy({ baseDelayMs: 1 });
+        await assert.rejects(
+            policy.run(() => {
+                throw new EventTimeoutError('timed out');
+            }),
+            (err) => err instanceof EventTimeoutError && err.attempts === 1
+        );
+    });
+});
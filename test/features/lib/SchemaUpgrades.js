@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+
+const {
+    SchemaUpgrades,
+    makeRulesUpgrade,
+    makeSchemaUpgradeStage
+} = require('../../../lib/SchemaUpgrades');
+
+describe('makeRulesUpgrade', () => {
+    it('Should rename, set default and drop fields', () => {
+        const upgrade = makeRulesUpgrade([
+            { rename: 'a.b', to: 'c' },
+            { rename: 'missing', to: 'd' },
+            { set_default: 'e', value: 'default' },
+            { set_default: 'f', value: 'default' },
+            { drop: 'g' }
+        ]);
+
+        const event = upgrade({ a: { b: 1 }, f: 'kept', g: 'dropped' });
+        assert.deepEqual(event, { a: {}, c: 1, e: 'default', f: 'kept' });
+    });
+
+    it('Should throw for unknown rules', () => {
+        assert.throws(() => makeRulesUpgrade([{ explode: 'a' }]));
+    });
+});
+
+describe('SchemaUpgrades', () => {
+    const upgrades = new SchemaUpgrades([
+        { from: '/test/0.0.1', to: '/test/0.0.2', rules: [{ rename: 'test', to: 'test2' }] },
+        {
+            from: '/test/0.0.2',
+            to: '/test/0.0.3',
+            upgrade: async(event) => {
+                await P.delay(1);
+                event.upgraded = true;
+                return event;
+            }
+        }
+    ]);
+
+    it('Should throw if an upgrade has neither rules nor an upgrade function', () => {
+        assert.throws(() => new SchemaUpgrades([{ from: '/a/1', to: '/a/2' }]));
+    });
+
+    it('Should throw if a schema URI has more than one upgrade', () => {
+        assert.throws(() => new SchemaUpgrades([
+            { from: '/a/1', to: '/a/2', rules: [] },
+            { from: '/a/1', to: '/a/3', rules: [] }
+        ]));
+    });
+
+    it('Should chain upgrades without modifying the original event', async() => {
+        const event = { test: 'value' };
+        const result = await upgrades.upgrade(event, '/test/0.0.1');
+        assert.deepEqual(result, {
+            event: { test2: 'value', upgraded: true },
+            from: '/test/0.0.1',
+            to: '/test/0.0.3'
+        });
+        assert.deepEqual(event, { test: 'value' });
+    });
+
+    it('Should set the schema URI after each upgrade if schemaUriField is given', async() => {
+        const seenUris = [];
+        const chained = new SchemaUpgrades([
+            { from: '/a/1', to: '/a/2', upgrade: (event) => event },
+            {
+                from: '/a/2',
+                to: '/a/3',
+                upgrade: (event) => {
+                    seenUris.push(event.meta.schema_uri);
+                    return event;
+                }
+            }
+        ]);
+        const result = await chained.upgrade(
+            { meta: { schema_uri: '/a/1' } }, '/a/1', {}, 'meta.schema_uri'
+        );
+        assert.deepEqual(seenUris, ['/a/2']);
+        assert.deepEqual(result.event, { meta: { schema_uri: '/a/3' } });
+    });
+
+    it('Should throw if an upgrade function does not return an event', async() => {
+        const broken = new SchemaUpgrades([
+            { from: '/a/1', to: '/a/2', upgrade: (event) => {} }
+        ]);
+        await assert.rejects(broken.upgrade({}, '/a/1'), /returned undefined/);
+    });
+
+    it('Should return undefined if there is no upgrade', async() => {
+        assert.strictEqual(await upgrades.upgrade({}, '/test/0.0.3'), undefined);
+    });
+
+    it('Should throw if upgrades form a cycle', async() => {
+        const cyclic = new SchemaUpgrades([
+            { from: '/a/1', to: '/a/2', rules: [] },
+            { from: '/a/2', to: '/a/1', rules: [] }
+        ]);
+        await assert.rejects(cyclic.upgrade({}, '/a/1'));
+    });
+});
+
+describe('makeSchemaUpgradeStage', () => {
+    const stage = makeSchemaUpgradeStage({
+        upgrades: new SchemaUpgrades([
+            { from: '/test/0.0.1', to: '/test/0.0.2', rules: [{ set_default: 'new', value: 1 }] }
+        ]),
+        schemaUriField: ['schema_uri', '$schema']
+    });
+
+    it('Should upgrade events and set their schema URI', async() => {
+        const context = {};
+        const event = await stage.fn({ $schema: '/test/0.0.1' }, context);
+        assert.deepEqual(event, { $schema: '/test/0.0.2', new: 1 });
+        assert.deepEqual(context.schemaUpgrades, [{ from: '/test/0.0.1', to: '/test/0.0.2' }]);
+    });
+
+    it('Should leave events without an upgrade as is', async() => {
+        const context = {};
+        const event = { $schema: '/test/0.0.2' };
+        assert.equal(await stage.fn(event, context), event);
+        assert.strictEqual(context.schemaUpgrades, undefined);
+    });
+});
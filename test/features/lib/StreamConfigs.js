@@ -0,0 +1,41 @@
+'use strict';
+
+const assert = require('assert');
+const StreamConfigs = require('../../../lib/StreamConfigs');
+
+const streamConfigUri = './test/schemas/stream-config.test.yaml';
+
+describe('StreamConfigs', () => {
+    const streamConfigs = new StreamConfigs({
+        'test.event': { schema_title: 'test' },
+        '/^test\\..+/': { schema_title: 'test_regex' }
+    });
+
+    it('should get stream config by exact stream name', () => {
+        assert.deepEqual(streamConfigs.get('test.event'), { schema_title: 'test' });
+    });
+
+    it('should get stream config by regex stream name', () => {
+        assert.deepEqual(streamConfigs.get('test.other'), { schema_title: 'test_regex' });
+        assert.ok(streamConfigs.has('test.other'));
+    });
+
+    it('should return undefined for unconfigured stream', () => {
+        assert.strictEqual(streamConfigs.get('nope'), undefined);
+        assert.ok(!streamConfigs.has('nope'));
+    });
+
+    it('should throw if configs is not an object', () => {
+        assert.throws(() => {
+            new StreamConfigs(['test.event']);
+        });
+    });
+
+    it('should load stream configs from a uri', async() => {
+        const loadedStreamConfigs = await StreamConfigs.load(streamConfigUri);
+        assert.deepEqual(loadedStreamConfigs.get('test.event'), { schema_title: 'test' });
+        assert.deepEqual(
+            loadedStreamConfigs.get('test_draft4.event'), { schema_title: 'test_draft4' }
+        );
+    });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+    formats
+} = require('../../../lib/ajv-formats');
+
+/**
+ * Returns true if value is valid for the named format.
+ *
+ * @param {string} name
+ * @param {string} value
+ * @return {boolean}
+ */
+function isValid(name, value) {
+    const validate = formats[name].validate;
+    return validate instanceof RegExp ? validate.test(value) : validate(value);
+}
+
+describe('ajv-formats', () => {
+    it('should only allow ISO-8601 date-times with a timezone', () => {
+        assert.ok(isValid('iso-8601-date-time-tz', '2020-01-01T00:00:00Z'));
+        assert.ok(isValid('iso-8601-date-time-tz', '2020-02-29T23:59:59.123-05:00'));
+        assert.ok(!isValid('iso-8601-date-time-tz', '2020-01-01T00:00:00'));
+        assert.ok(!isValid('iso-8601-date-time-tz', '2020-01-01 00:00:00Z'));
+        assert.ok(!isValid('iso-8601-date-time-tz', '2021-02-29T00:00:00Z'));
+        assert.ok(!isValid('iso-8601-date-time-tz', '2020-01-01T24:00:00Z'));
+    });
+
+    it('should only allow version 4 UUIDs', () => {
+        assert.ok(isValid('uuid-v4', '0f7d6b4e-3c4a-4b7e-9d2f-6a1b2c3d4e5f'));
+        assert.ok(!isValid('uuid-v4', '5e1dd101-641c-11e8-ab6c-b083fecf1287'));
+        assert.ok(!isValid('uuid-v4', 'not-a-uuid'));
+    });
+
+    it('should only allow wiki database names', () => {
+        assert.ok(isValid('wiki-dbname', 'enwiki'));
+        assert.ok(isValid('wiki-dbname', 'zh_min_nanwiki'));
+        assert.ok(!isValid('wiki-dbname', 'en.wikipedia.org'));
+        assert.ok(!isValid('wiki-dbname', 'EnWiki'));
+    });
+});
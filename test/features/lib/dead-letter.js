@@ -0,0 +1,168 @@
+'use strict';
+
+const assert = require('assert');
+const bunyan = require('bunyan');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const {
+    DeadLetterSpool,
+    makeDeadLetterRecord,
+    readDeadLetterFile
+} = require('../../../lib/dead-letter');
+const { EventGate, EventStatus } = require('../../../lib/eventgate');
+const { makeEnrichEvent } = require('../../../lib/factories/default-eventgate');
+
+const logger = bunyan.createLogger({ name: 'test/dead-letter', level: 'fatal' });
+
+describe('makeDeadLetterRecord', () => {
+    it('Should keep the event and the error context', () => {
+        const err = new Error('Kafka is down');
+        err.code = -187;
+        const eventStatus = new EventStatus('error', err, { a: 1 });
+        eventStatus.stage = 'produce';
+        eventStatus.attempts = 3;
+
+        const record = makeDeadLetterRecord(
+            eventStatus, { req: { headers: { 'x-request-id': 'abc' } } }
+        );
+        assert.deepEqual(record.event, { a: 1 });
+        assert.equal(record.dead_letter.status, 'error');
+        assert.equal(record.dead_letter.stage, 'produce');
+        assert.equal(record.dead_letter.attempts, 3);
+        assert.equal(record.dead_letter.request_id, 'abc');
+        assert.deepEqual(
+            record.dead_letter.error, { name: 'Error', message: 'Kafka is down', code: -187 }
+        );
+        assert.ok(record.dead_letter.dt);
+    });
+});
+
+describe('DeadLetterSpool', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eventgate-dead-letter-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('Should throw if directory is not set', () => {
+        assert.throws(() => new DeadLetterSpool());
+    });
+
+    it('Should write records to a spool file', async() => {
+        const spool = new DeadLetterSpool({ directory });
+        await spool.write([
+            new EventStatus('error', new Error('nope'), { a: 1 }),
+            new EventStatus('timeout', new Error('too slow'), { a: 2 })
+        ]);
+        await spool.close();
+
+        const files = DeadLetterSpool.files(directory);
+        assert.equal(files.length, 1);
+        const records = await readDeadLetterFile(files[0]);
+        assert.deepEqual(records.map((r) => r.event), [{ a: 1 }, { a: 2 }]);
+        assert.deepEqual(records.map((r) => r.dead_letter.status), ['error', 'timeout']);
+    });
+
+    it('Should rotate files and keep at most maxFiles', async() => {
+        const spool = new DeadLetterSpool({ directory, maxFileBytes: 1, maxFiles: 2 });
+        for (let i = 0; i < 4; i++) {
+            await spool.write(new EventStatus('error', new Error('nope'), { i }));
+        }
+        await spool.close();
+
+        const files = DeadLetterSpool.files(directory);
+        assert.equal(files.length, 2);
+        const events = [];
+        for (const file of files) {
+            (await readDeadLetterFile(file)).forEach((r) => events.push(r.event));
+        }
+        assert.deepEqual(events, [{ i: 2 }, { i: 3 }]);
+    });
+
+    it('Should skip invalid lines when reading', async() => {
+        const file = path.join(directory, 'dead-letter-test.ndjson');
+        fs.writeFileSync(file, '{"event":{"a":1}}\n\n{"event":{"a":2}}\n{"event":');
+        const records = await readDeadLetterFile(file, logger);
+        assert.deepEqual(records.map((r) => r.event), [{ a: 1 }, { a: 2 }]);
+    });
+
+    it('Should spool events that fail to be produced by an EventGate', async() => {
+        const eventGate = new EventGate({
+            validate: (event) => {
+                if (event.invalid) {
+                    throw new Error('invalid');
+                }
+                return event;
+            },
+            produce: (event) => {
+                if (event.fail) {
+                    throw new Error('Kafka is down');
+                }
+                return event;
+            },
+            log: logger
+        });
+        const spool = new DeadLetterSpool({ directory, log: logger });
+        spool.attach(eventGate);
+
+        await eventGate.process([{ a: 1 }, { a: 2, fail: true }]);
+        await spool.close();
+
+        const records = await readDeadLetterFile(DeadLetterSpool.files(directory)[0]);
+        assert.deepEqual(records.map((r) => r.event), [{ a: 2, fail: true }]);
+        assert.equal(records[0].dead_letter.error.message, 'Kafka is down');
+        assert.equal(records[0].dead_letter.stage, 'produce');
+    });
+
+    it('Should spool events as they were received', async() => {
+        const eventGate = new EventGate({
+            validate: (event) => {
+                // Like Ajv with useDefaults, validation fills in defaults in place.
+                event.default_field = 'default';
+                return event;
+            },
+            produce: () => {
+                throw new Error('Kafka is down');
+            },
+            stages: {
+                preValidate: [makeEnrichEvent({ enrich_dt_field: 'meta.dt' })]
+            },
+            log: logger
+        });
+        const spool = new DeadLetterSpool({ directory, log: logger });
+        spool.attach(eventGate);
+
+        const result = await eventGate.process([{ a: 1, meta: { id: 'abc' } }]);
+        await spool.close();
+        assert.ok(result.error[0].event.meta.dt);
+        assert.equal(result.error[0].event.default_field, 'default');
+
+        const records = await readDeadLetterFile(DeadLetterSpool.files(directory)[0]);
+        assert.deepEqual(records.map((r) => r.event), [{ a: 1, meta: { id: 'abc' } }]);
+    });
+
+    it('Should be closed when the EventGate it is attached to is closed', async() => {
+        const eventGate = new EventGate({
+            validate: (event) => event,
+            produce: () => {
+                throw new Error('Kafka is down');
+            },
+            log: logger
+        });
+        const spool = new DeadLetterSpool({ directory, log: logger });
+        spool.attach(eventGate);
+
+        await eventGate.process([{ a: 1 }]);
+        await eventGate.close();
+        assert.equal(spool._stream, undefined);
+
+        const records = await readDeadLetterFile(DeadLetterSpool.files(directory)[0]);
+        assert.deepEqual(records.map((r) => r.event), [{ a: 1 }]);
+    });
+});
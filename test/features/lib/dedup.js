@@ -0,0 +1,160 @@
+'use strict';
+
+const _ = require('lodash');
+const bunyan = require('bunyan');
+const assert = require('assert');
+const P = require('bluebird');
+
+const {
+    MemoryDedupStore,
+    makeDedupStage
+} = require('../../../lib/dedup');
+const { EventGate } = require('../../../lib/eventgate');
+const { makeExtractField } = require('../../../lib/event-util');
+
+const logger = bunyan.createLogger({ name: 'test/dedup', level: 'fatal' });
+
+describe('MemoryDedupStore', () => {
+    it('should only add a key once', () => {
+        const store = new MemoryDedupStore();
+        assert.strictEqual(store.add('a'), true);
+        assert.strictEqual(store.add('a'), false);
+        assert.strictEqual(store.add('b'), true);
+    });
+
+    it('should add a key again after it has been deleted', () => {
+        const store = new MemoryDedupStore();
+        store.add('a');
+        store.delete('a');
+        assert.strictEqual(store.add('a'), true);
+    });
+
+    it('should add a key again after it has expired', async() => {
+        const store = new MemoryDedupStore({ ttlMs: 10 });
+        store.add('a');
+        await P.delay(20);
+        assert.strictEqual(store.add('a'), true);
+    });
+
+    it('should evict least recently added keys over maxKeys', () => {
+        const store = new MemoryDedupStore({ maxKeys: 2 });
+        store.add('a');
+        store.add('b');
+        store.add('c');
+        assert.strictEqual(store.size, 2);
+        assert.strictEqual(store.add('a'), true);
+        assert.strictEqual(store.add('c'), false);
+    });
+});
+
+describe('EventGate with dedup stage', () => {
+    function makeEventGate(produce, options = {}) {
+        return new EventGate(Object.assign({
+            log: logger,
+            validate: (event) => P.resolve(event),
+            produce,
+            stages: {
+                preProduce: [makeDedupStage({
+                    extractId: makeExtractField('meta.id'),
+                    store: new MemoryDedupStore()
+                })]
+            }
+        }, options));
+    }
+
+    it('should give duplicate events a duplicate status', async() => {
+        const eventGate = makeEventGate((event) => P.resolve(event));
+        const events = [
+            { meta: { id: '1' } },
+            { meta: { id: '1' } },
+            { meta: { id: '2' } },
+            { meta: {} }
+        ];
+
+        const result = await eventGate.process(events, {});
+        assert.equal(result.success.length, 3);
+        // The first event with id 1 was still being produced.
+        assert.equal(result.duplicate_pending.length, 1);
+        assert.equal(result.duplicate_pending[0].stage, 'dedup');
+        assert.equal(result.duplicate_pending[0].context.retry_after_seconds, 1);
+
+        const retried = await eventGate.process([{ meta: { id: '1' } }, { meta: { id: '2' } }], {});
+        assert.equal(retried.duplicate.length, 2);
+        assert.equal(retried.duplicate[0].stage, 'dedup');
+    });
+
+    it('should let duplicates of a pending event be retried if it fails', async() => {
+        let fail = true;
+        const eventGate = makeEventGate(async(event) => {
+            await P.delay(20);
+            if (fail) {
+                throw new Error('produce failed');
+            }
+            return event;
+        });
+
+        const first = eventGate.process([{ meta: { id: '1' } }], {});
+        await P.delay(5);
+        const duplicate = await eventGate.process([{ meta: { id: '1' } }], {});
+        assert.equal(duplicate.duplicate_pending.length, 1);
+        assert.equal((await first).error.length, 1);
+
+        fail = false;
+        const retried = await eventGate.process([{ meta: { id: '1' } }], {});
+        assert.equal(retried.success.length, 1);
+    });
+
+    it('should release ids of events that later stages replaced with a copy', async() => {
+        let fail = true;
+        const eventGate = makeEventGate((event) => {
+            if (fail) {
+                throw new Error('produce failed');
+            }
+            return P.resolve(event);
+        });
+        eventGate.addStage('preProduce', {
+            name: 'copy',
+            fn: (event) => _.cloneDeep(event)
+        });
+
+        const failed = await eventGate.process([{ meta: { id: '1' } }], {});
+        assert.equal(failed.error.length, 1);
+
+        fail = false;
+        const retried = await eventGate.process([{ meta: { id: '1' } }], {});
+        assert.equal(retried.success.length, 1);
+
+        const duplicate = await eventGate.process([{ meta: { id: '1' } }], {});
+        assert.equal(duplicate.duplicate.length, 1);
+    });
+
+    it('should keep the ids of events that timed out', async() => {
+        const eventGate = makeEventGate(
+            (event) => P.delay(event.delay).then(() => event),
+            { produceTimeout: 10 }
+        );
+
+        const timedOut = await eventGate.process([{ meta: { id: '1' }, delay: 50 }], {});
+        assert.equal(timedOut.timeout.length, 1);
+
+        const retried = await eventGate.process([{ meta: { id: '1' }, delay: 0 }], {});
+        assert.equal(retried.duplicate.length, 1);
+    });
+
+    it('should not consider events that failed to produce as duplicates', async() => {
+        let fail = true;
+        const eventGate = makeEventGate((event) => {
+            if (fail) {
+                throw new Error('produce failed');
+            }
+            return P.resolve(event);
+        });
+
+        const failed = await eventGate.process([{ meta: { id: '1' } }], {});
+        assert.equal(failed.error.length, 1);
+
+        fail = false;
+        const retried = await eventGate.process([{ meta: { id: '1' } }], {});
+        assert.equal(retried.success.length, 1);
+    });
+});
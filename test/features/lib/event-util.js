@@ -47,3 +47,21 @@ describe('stringMatches', () => {
         assert.equal(true, eUtil.stringMatches('a', new RegExp('^a$')));
     });
 });
+
+describe('requireRelative', () => {
+    const path = require('path');
+    const basePath = path.resolve(__dirname, '..', '..', '..');
+
+    it('should require modules relative to the routes directory', () => {
+        assert.equal(eUtil.requireRelative('../lib/event-util'), eUtil);
+        assert.throws(
+            () => eUtil.requireRelative('./no-such-module'),
+            (err) => err.message.includes(path.join(basePath, 'routes', 'no-such-module'))
+        );
+    });
+
+    it('should search for modules in extra paths', () => {
+        assert.equal(eUtil.requireRelative('lib/event-util', [basePath]), eUtil);
+        assert.throws(() => eUtil.requireRelative('lib/event-util', [__dirname]));
+    });
+});
@@ -1,5 +1,6 @@
 'use strict';
 
+const _                 = require('lodash');
 const bunyan            = require('bunyan');
 const P = require('bluebird');
 const assert = require('assert');
@@ -7,8 +8,14 @@ const {
     EventGate,
     EventStatus
 } = require('../../../lib/eventgate');
+const RetryPolicy = require('../../../lib/RetryPolicy');
 
-const ValidationError = require('../../../lib/error').ValidationError;
+const {
+    ValidationError,
+    EventTimeoutError,
+    EventGateOverloadedError,
+    EventGateClosingError
+} = require('../../../lib/error');
 
 const logger = bunyan.createLogger({ name: 'test/EventValidator', level: 'fatal' });
 
@@ -44,7 +51,108 @@ describe('EventStatus', () => {
         ]);
         const eventStatus = new EventStatus('error', error, {});
         const eventStatusSerialized = eventStatus.toJSON();
-        assert.deepEqual(error, eventStatusSerialized.context);
+        assert.equal(eventStatusSerialized.context.message, error.message);
+        assert.equal(eventStatusSerialized.context.errorsText, error.errorsText);
+        assert.deepEqual(eventStatusSerialized.context.errors, error.errors);
+    });
+
+    it('Should serialize ValidationError EventStatus with normalized failures', () => {
+        const errors = [
+            {
+                keyword: 'type',
+                dataPath: '.path.to.field',
+                schemaPath: '#/properties/path/properties/to/properties/field/type',
+                params: { type: 'string' },
+                message: 'that was a nasty field',
+            }
+        ];
+        const error = new ValidationError("error message here", errors, { stream: 'test.event' });
+        const eventStatus = new EventStatus('invalid', error, { path: { to: { field: 1 } } });
+        eventStatus.index = 3;
+        const eventStatusSerialized = eventStatus.toJSON();
+
+        assert.equal(eventStatusSerialized.index, 3);
+        assert.deepEqual(eventStatusSerialized.context, {
+            message: 'error message here',
+            stream: 'test.event',
+            errorsText: "'.path.to.field' that was a nasty field",
+            errors,
+            failures: [{
+                pointer: '/path/to/field',
+                keyword: 'type',
+                schema_path: '#/properties/path/properties/to/properties/field/type',
+                expected: 'string',
+                actual: 1,
+                message: 'that was a nasty field'
+            }]
+        });
+    });
+
+    it('Should serialize success EventStatus with only safe produce result fields', () => {
+        const deliveryReport = {
+            topic: 'test.event',
+            partition: 0,
+            offset: 1,
+            key: Buffer.from('key'),
+            opaque: { secret: true },
+            size: 20
+        };
+        const eventStatus = new EventStatus('success', [deliveryReport], {});
+        assert.deepEqual(
+            eventStatus.toJSON().context,
+            [{ topic: 'test.event', partition: 0, offset: 1 }]
+        );
+
+        const sinksStatus = new EventStatus('success', {
+            sinks: {
+                kafka: { status: 'success', topic: 'test.event', offset: 2, opaque: {} },
+                file: { status: 'error', message: 'disk full' }
+            }
+        }, {});
+        assert.deepEqual(sinksStatus.toJSON().context, {
+            sinks: {
+                kafka: { status: 'success', topic: 'test.event', offset: 2 },
+                file: { status: 'error', message: 'disk full' }
+            }
+        });
+
+        assert.equal(new EventStatus('success', undefined, {}).toJSON().context, undefined);
+    });
+
+    it('Should register new statuses', async() => {
+        const type = EventStatus.register('test_deferred', { accepted: true });
+        assert.deepEqual(type, {
+            status: 'test_deferred', accepted: true, httpStatus: 500, description: 'test deferred'
+        });
+        assert(EventStatus.STATUSES.includes('test_deferred'));
+        assert.equal(EventStatus.type('test_deferred'), type);
+        assert.equal(EventStatus.type('nopers'), undefined);
+
+        // Registering the same type again does nothing.
+        assert.equal(EventStatus.register('test_deferred', { accepted: true }), type);
+        assert.throws(() => {
+            EventStatus.register('test_deferred', { accepted: false });
+        }, /already registered/);
+
+        const eventGate = new EventGate({
+            log: logger,
+            validate: (event) => P.resolve(event),
+            produce: (event) => P.resolve(event),
+            stages: {
+                preValidate: [(event) => new EventStatus('test_deferred', {}, event)]
+            }
+        });
+        const result = await eventGate.process([{ fake: 'event0' }], {});
+        assert.equal(result.test_deferred.length, 1);
+        assert.equal(result.success.length, 0);
+    });
+
+    it('Should have types for the built in statuses', () => {
+        assert.equal(EventStatus.type('success').accepted, true);
+        assert.equal(EventStatus.type('dropped').accepted, true);
+        assert.equal(EventStatus.type('invalid').httpStatus, 400);
+        assert.equal(EventStatus.type('error').httpStatus, 500);
+        assert.equal(EventStatus.type('timeout').httpStatus, 504);
     });
 });
 
@@ -159,6 +267,10 @@ describe('EventGate', () => {
         });
     });
 
+    it('Should not throw error if only a produceBatch function', async() => {
+        new EventGate({validate: (e) => e, produceBatch: (events) => events});
+    });
+
     it('Should process 2 events', async() => {
         const result = await mockEventGate.process(events, successContext);
         assert.equal(result.success.length, 2);
@@ -174,6 +286,7 @@ describe('EventGate', () => {
         assert.equal(result.success.length, 0);
         assert.equal(result.invalid.length, 2);
         assert.equal(result.error.length,   0);
+        assert.deepEqual(result.invalid.map((eventStatus) => eventStatus.index), [0, 1]);
 
         return assertErrorEventsProduced(2);
     });
@@ -197,3 +310,763 @@ describe('EventGate', () => {
         return assertErrorEventsProduced(0);
     });
 });
+
+describe('EventGate stages', () => {
+    const events = [
+        { fake: 'event0' },
+        { fake: 'event1' }
+    ];
+
+    function makeEventGate(stages) {
+        return new EventGate({
+            log: logger,
+            validate: (event, context) => {
+                if (event.invalid) {
+                    throw new ValidationError("invalid event", [
+                        {
+                            dataPath: '.invalid',
+                            message: 'should not be set',
+                        }
+                    ]);
+                }
+                return P.resolve(event);
+            },
+            produce: (event, context) => P.resolve({ produced: event.fake }),
+            stages
+        });
+    }
+
+    it('Should throw error if adding stage at unknown phase', () => {
+        assert.throws(() => {
+            makeEventGate({ nope: [(e) => e] });
+        });
+    });
+
+    it('Should run stages in phase order and transform events', async() => {
+        const calls = [];
+        const eventGate = makeEventGate({
+            preProduce: [(event) => {
+                calls.push('preProduce');
+                return Object.assign({}, event, { preProduce: true });
+            }],
+            preValidate: [(event) => {
+                calls.push('preValidate');
+                return Object.assign({}, event, { preValidate: true });
+            }],
+            postValidate: [(event) => {
+                calls.push('postValidate');
+                return event;
+            }]
+        });
+
+        const result = await eventGate.process([events[0]], {});
+        assert.deepEqual(calls, ['preValidate', 'postValidate', 'preProduce']);
+        assert.equal(result.success.length, 1);
+        assert.deepEqual(
+            result.success[0].event,
+            { fake: 'event0', preValidate: true, preProduce: true }
+        );
+        assert.equal(result.success[0].stage, 'produce');
+    });
+
+    it('Should drop events for which a stage returns null', async() => {
+        const eventGate = makeEventGate({
+            postValidate: [{
+                name: 'dropEvent1',
+                fn: (event) => (event.fake === 'event1' ? null : event)
+            }]
+        });
+
+        const result = await eventGate.process(events, {});
+        assert.equal(result.success.length, 1);
+        assert.equal(result.dropped.length, 1);
+        assert.equal(result.dropped[0].event.fake, 'event1');
+        assert.equal(result.dropped[0].stage, 'dropEvent1');
+    });
+
+    it('Should end processing with EventStatus returned by a stage', async() => {
+        const eventGate = makeEventGate({
+            preValidate: [(event) => new EventStatus('dropped', { reason: 'because' }, event)],
+            preProduce: [() => assert.fail('preProduce stage should not be run')]
+        });
+
+        const result = await eventGate.process(events, {});
+        assert.equal(result.dropped.length, 2);
+        assert.deepEqual(result.dropped[0].context, { reason: 'because' });
+    });
+
+    it('Should fail events for which a stage throws', async() => {
+        const eventGate = makeEventGate();
+        eventGate.addStage('preValidate', {
+            name: 'markInvalid',
+            fn: (event) => Object.assign({ invalid: event.fake === 'event0' }, event)
+        });
+        eventGate.addStage('preProduce', {
+            name: 'explode',
+            fn: (event) => {
+                throw new Error('boom');
+            }
+        });
+
+        const result = await eventGate.process(events, {});
+        assert.equal(result.invalid.length, 1);
+        assert.equal(result.invalid[0].stage, 'validate');
+        assert.equal(result.error.length, 1);
+        assert.equal(result.error[0].stage, 'explode');
+    });
+
+    it('Should fail events for which a stage returns undefined', async() => {
+        const eventGate = makeEventGate({
+            preValidate: [(event) => undefined]
+        });
+
+        const result = await eventGate.process(events, {});
+        assert.equal(result.error.length, 2);
+    });
+});
+
+describe('EventGate concurrency', () => {
+    const events = [
+        { fake: 'event0' },
+        { fake: 'event1' },
+        { fake: 'event2' },
+        { fake: 'event3' }
+    ];
+
+    function makeEventGate(options, produceDelay = 10) {
+        const eventGate = new EventGate(Object.assign({
+            log: logger,
+            validate: (event) => P.resolve(event),
+            produce: async(event) => {
+                eventGate.concurrentProduces++;
+                eventGate.maxConcurrentProduces = Math.max(
+                    eventGate.maxConcurrentProduces, eventGate.concurrentProduces
+                );
+                await P.delay(produceDelay);
+                eventGate.concurrentProduces--;
+                return event;
+            }
+        }, options));
+        eventGate.concurrentProduces = 0;
+        eventGate.maxConcurrentProduces = 0;
+        return eventGate;
+    }
+
+    it('Should process at most concurrency events at a time', async() => {
+        const eventGate = makeEventGate({ concurrency: 2 });
+        const result = await eventGate.process(events, {});
+        assert.equal(result.success.length, 4);
+        assert.equal(eventGate.maxConcurrentProduces, 2);
+    });
+
+    it('Should reject events that exceed maxInFlight', async() => {
+        const eventGate = makeEventGate({ maxInFlight: 5 });
+
+        const first = eventGate.process(events, {});
+        assert.equal(eventGate.inFlight, 4);
+        assert.equal(eventGate.hasCapacityFor(2), false);
+        await assert.rejects(eventGate.process(events.slice(0, 2), {}), EventGateOverloadedError);
+
+        await first;
+        assert.equal(eventGate.inFlight, 0);
+        const result = await eventGate.process(events.slice(0, 2), {});
+        assert.equal(result.success.length, 2);
+    });
+
+    it('Should accept a batch larger than maxInFlight if nothing else is in flight', async() => {
+        const eventGate = makeEventGate({ maxInFlight: 2 });
+        const result = await eventGate.process(events, {});
+        assert.equal(result.success.length, 4);
+    });
+});
+
+describe('EventGate timeouts', () => {
+    const events = [
+        { fake: 'event0', delay: 0 },
+        { fake: 'event1', delay: 100 }
+    ];
+
+    it('Should give events that take too long to validate a timeout status', async() => {
+        const eventGate = new EventGate({
+            log: logger,
+            validate: (event) => P.delay(event.delay).then(() => event),
+            produce: (event) => P.resolve(event),
+            validateTimeout: 20
+        });
+
+        const result = await eventGate.process(events, {});
+        assert.equal(result.success.length, 1);
+        assert.equal(result.timeout.length, 1);
+        assert.equal(result.timeout[0].event.fake, 'event1');
+        assert.equal(result.timeout[0].stage, 'validate');
+        assert(result.timeout[0].context instanceof EventTimeoutError);
+    });
+
+    it('Should give events that take too long to produce a timeout status', async() => {
+        const eventGate = new EventGate({
+            log: logger,
+            validate: (event) => P.resolve(event),
+            produce: (event) => P.delay(event.delay).then(() => event),
+            produceTimeout: 20
+        });
+
+        const result = await eventGate.process(events, {});
+        assert.equal(result.success.length, 1);
+        assert.equal(result.timeout.length, 1);
+        assert.equal(result.timeout[0].stage, 'produce');
+    });
+});
+
+describe('EventGate produce retries', () => {
+    function makeEventGate(failures) {
+        let produceCalls = 0;
+        return new EventGate({
+            log: logger,
+            validate: (event) => P.resolve(event),
+            produce: (event) => {
+                produceCalls++;
+                if (produceCalls <= failures) {
+                    throw new Error(`produce failure ${produceCalls}`);
+                }
+                return P.resolve({ produced: true });
+            },
+            produceRetry: new RetryPolicy({ maxAttempts: 3, baseDelayMs: 1 })
+        });
+    }
+
+    it('Should succeed after retrying failed produce', async() => {
+        const result = await makeEventGate(2).process([{ fake: 'event0' }], {});
+        assert.equal(result.success.length, 1);
+        assert.equal(result.success[0].attempts, 3);
+    });
+
+    it('Should error after all produce attempts failed', async() => {
+        const result = await makeEventGate(3).process([{ fake: 'event0' }], {});
+        assert.equal(result.error.length, 1);
+        assert.equal(result.error[0].attempts, 3);
+        assert.equal(result.error[0].context.attempts, 3);
+    });
+});
+
+describe('EventGate produceBatch', () => {
+    const events = [
+        { fake: 'event0' },
+        { fake: 'invalid' },
+        { fake: 'event2' },
+        { fake: 'fail' }
+    ];
+
+    function makeEventGate(options = {}) {
+        const eventGate = new EventGate(Object.assign({
+            log: logger,
+            validate: (event) => {
+                if (event.fake === 'invalid') {
+                    throw new ValidationError('invalid event', []);
+                }
+                return P.resolve(event);
+            },
+            produceBatch: async(batch) => {
+                eventGate.batches.push(batch);
+                return batch.map((event) => {
+                    return event.fake === 'fail' ?
+                        new Error(`could not produce ${event.fake}`) :
+                        { produced: event.fake };
+                });
+            }
+        }, options));
+        eventGate.batches = [];
+        return eventGate;
+    }
+
+    it('Should produce all valid events with a single produceBatch call', async() => {
+        const eventGate = makeEventGate();
+        const result = await eventGate.process(events, {});
+
+        assert.equal(eventGate.batches.length, 1);
+        assert.deepEqual(eventGate.batches[0], [events[0], events[2], events[3]]);
+        assert.deepEqual(result.success.map((s) => s.context), [
+            { produced: 'event0' }, { produced: 'event2' }
+        ]);
+        assert.equal(result.invalid.length, 1);
+        assert.equal(result.error.length, 1);
+        assert.equal(result.error[0].event, events[3]);
+        assert.equal(result.error[0].stage, 'produce');
+        assert.equal(eventGate.inFlight, 0);
+    });
+
+    it('Should fail all events if produceBatch throws', async() => {
+        const eventGate = makeEventGate({
+            produceBatch: () => {
+                throw new Error('batch failed');
+            }
+        });
+        const result = await eventGate.process(events, {});
+        assert.equal(result.error.length, 3);
+        assert.equal(result.invalid.length, 1);
+    });
+
+    it('Should fail all events if produceBatch returns the wrong number of results', async() => {
+        const eventGate = makeEventGate({ produceBatch: async() => [] });
+        const result = await eventGate.process(events, {});
+        assert.equal(result.error.length, 3);
+    });
+
+    it('Should only retry events that failed with a retryable Error', async() => {
+        let failures = 0;
+        const eventGate = makeEventGate({
+            produceRetry: new RetryPolicy({ maxAttempts: 3, baseDelayMs: 1 }),
+            produceBatch: async(batch) => {
+                eventGate.batches.push(batch);
+                return batch.map((event) => {
+                    if (event.fake === 'fail') {
+                        return new ValidationError('cannot be retried', []);
+                    }
+                    if (event.fake === 'event2' && failures++ < 1) {
+                        return new Error('temporarily failed');
+                    }
+                    return { produced: event.fake };
+                });
+            }
+        });
+        const result = await eventGate.process(events, {});
+
+        assert.deepEqual(eventGate.batches, [[events[0], events[2], events[3]], [events[2]]]);
+        assert.deepEqual(result.success.map((s) => s.attempts), [1, 2]);
+        assert.equal(result.invalid.length, 2);
+        assert.equal(result.invalid[1].attempts, 1);
+    });
+
+    it('Should only time out the events of a batch that take too long to produce', async() => {
+        const eventGate = makeEventGate({
+            produceTimeout: 20,
+            produceRetry: new RetryPolicy({ maxAttempts: 3, baseDelayMs: 1 }),
+            produceBatch: async(batch) => {
+                eventGate.batches.push(batch);
+                return batch.map((event) => {
+                    const delay = event.fake === 'event2' ? 100 : 0;
+                    return P.delay(delay).then(() => ({ produced: event.fake }));
+                });
+            }
+        });
+        const result = await eventGate.process(events, {});
+
+        // Timed out events might still be produced, so they are not retried.
+        assert.equal(eventGate.batches.length, 1);
+        assert.deepEqual(result.success.map((s) => s.context), [
+            { produced: 'event0' }, { produced: 'fail' }
+        ]);
+        assert.equal(result.timeout.length, 1);
+        assert.equal(result.timeout[0].event, events[2]);
+        assert.equal(result.timeout[0].attempts, 1);
+        assert(result.timeout[0].context instanceof EventTimeoutError);
+    });
+
+    it('Should produce error events with produceBatch', async() => {
+        const eventGate = makeEventGate({
+            mapToErrorEvent: (error, event) => ({ fake: 'error', original_event: event })
+        });
+        await eventGate.process(events, {});
+        await P.delay(20);
+        assert.equal(eventGate.batches.length, 2);
+        assert.equal(eventGate.batches[1].length, 2);
+        assert.equal(eventGate.batches[1][0].fake, 'error');
+    });
+});
+
+describe('EventGate error events', () => {
+    const events = [
+        { fake: 'event0' },
+        { fake: 'invalid' }
+    ];
+
+    function makeEventGate(options = {}) {
+        const eventGate = new EventGate(Object.assign({
+            log: logger,
+            validate: (event) => {
+                if (event.fake === 'invalid') {
+                    throw new ValidationError('invalid event', []);
+                }
+                return P.resolve(event);
+            },
+            produce: (event) => {
+                if (event.fake === 'unproducable') {
+                    throw new Error('could not produce error event');
+                }
+                return P.resolve({ produced: event.fake });
+            },
+            mapToErrorEvent: (error, event) => {
+                eventGate.mapped.push(event);
+                return { fake: 'error', original_event: event };
+            },
+            awaitErrorEvents: true
+        }, options));
+        eventGate.mapped = [];
+        return eventGate;
+    }
+
+    it('Should wait for error events to be produced if awaitErrorEvents', async() => {
+        const eventGate = makeEventGate();
+        const produced = [];
+        eventGate.on('errorEventProduced', (errorEventStatus, failedResult) => {
+            produced.push([errorEventStatus, failedResult]);
+        });
+
+        const result = await eventGate.process(events, {});
+        assert.equal(produced.length, 1);
+        assert.equal(produced[0][0].status, 'success');
+        assert.equal(produced[0][0].event.original_event, events[1]);
+        assert.equal(produced[0][1], result.invalid[0]);
+        assert.deepEqual(eventGate.errorEventCounts, { produced: 1, failed: 0 });
+    });
+
+    it('Should emit errorEventFailed and not recurse if an error event fails', async() => {
+        const eventGate = makeEventGate({
+            validate: (event) => {
+                if (event.fake !== 'event0') {
+                    throw new ValidationError('invalid event', []);
+                }
+                return P.resolve(event);
+            }
+        });
+        const failed = [];
+        eventGate.on('errorEventFailed', (errorEventStatus) => failed.push(errorEventStatus));
+
+        await eventGate.process(events, {});
+        assert.equal(failed.length, 1);
+        assert.equal(failed[0].status, 'invalid');
+        // Only the original invalid event was mapped to an error event.
+        assert.deepEqual(eventGate.mapped, [events[1]]);
+        assert.deepEqual(eventGate.errorEventCounts, { produced: 0, failed: 1 });
+    });
+
+    it('Should emit errorEventFailed if mapToErrorEvent throws', async() => {
+        const eventGate = makeEventGate({
+            mapToErrorEvent: () => {
+                throw new Error('cannot map');
+            }
+        });
+        const failed = [];
+        eventGate.on('errorEventFailed', (errorEventStatus) => failed.push(errorEventStatus));
+
+        const result = await eventGate.process(events, {});
+        assert.equal(result.invalid.length, 1);
+        assert.equal(failed.length, 1);
+        assert.equal(failed[0].stage, 'mapToErrorEvent');
+        assert.deepEqual(eventGate.errorEventCounts, { produced: 0, failed: 1 });
+    });
+
+    it('Should produce error events in the background by default', async() => {
+        const eventGate = makeEventGate({ awaitErrorEvents: false });
+        const produced = new P((resolve) => eventGate.once('errorEventProduced', resolve));
+
+        await eventGate.process(events, {});
+        assert.deepEqual(eventGate.errorEventCounts, { produced: 0, failed: 0 });
+        await produced;
+        assert.deepEqual(eventGate.errorEventCounts, { produced: 1, failed: 0 });
+    });
+});
+
+describe('EventGate lifecycle events', () => {
+    const events = [
+        { fake: 'event0' },
+        { fake: 'invalid' },
+        { fake: 'fail' }
+    ];
+
+    function makeEventGate(options = {}) {
+        return new EventGate(Object.assign({
+            log: logger,
+            validate: (event) => {
+                if (event.fake === 'invalid') {
+                    throw new ValidationError('invalid event', []);
+                }
+                return P.resolve(event);
+            },
+            produce: (event) => {
+                if (event.fake === 'fail') {
+                    throw new Error('could not produce');
+                }
+                return P.resolve({ produced: event.fake });
+            }
+        }, options));
+    }
+
+    function recordLifecycleEvents(eventGate) {
+        const emitted = [];
+        ['received', 'validated', 'produced', 'invalid', 'error'].forEach((name) => {
+            eventGate.on(name, (eventOrStatus, context, timings) => {
+                const event = eventOrStatus instanceof EventStatus ?
+                    eventOrStatus.event : eventOrStatus;
+                emitted.push({ name, fake: event.fake, context, timings });
+            });
+        });
+        return emitted;
+    }
+
+    it('Should emit lifecycle events with event, context and timings', async() => {
+        const eventGate = makeEventGate();
+        const emitted = recordLifecycleEvents(eventGate);
+        const context = { fake: 'context' };
+
+        const result = await eventGate.process(events, context);
+
+        const names = (fake) => emitted.filter((e) => e.fake === fake).map((e) => e.name);
+        assert.deepEqual(names('event0'), ['received', 'validated', 'produced']);
+        assert.deepEqual(names('invalid'), ['received', 'invalid']);
+        assert.deepEqual(names('fail'), ['received', 'validated', 'error']);
+        emitted.forEach((e) => assert.equal(e.context, context));
+
+        const timings = result.success[0].timings;
+        assert.ok(_.isNumber(timings.startedAt));
+        assert.ok(timings.validateMs >= 0);
+        assert.ok(timings.produceMs >= 0);
+        assert.ok(timings.totalMs >= 0);
+        assert.equal(emitted.find((e) => e.name === 'produced').timings, timings);
+    });
+
+    it('Should emit lifecycle events with produceBatch', async() => {
+        const eventGate = makeEventGate({
+            produceBatch: async(batch) => batch.map((event) => ({ produced: event.fake }))
+        });
+        const emitted = recordLifecycleEvents(eventGate);
+
+        const result = await eventGate.process(events.slice(0, 2), {});
+        assert.deepEqual(
+            emitted.map((e) => e.name).sort(),
+            ['invalid', 'produced', 'received', 'received', 'validated']
+        );
+        assert.ok(result.success[0].timings.produceMs >= 0);
+    });
+
+    it('Should not throw if there are no error listeners', async() => {
+        const result = await makeEventGate().process(events, {});
+        assert.equal(result.error.length, 1);
+    });
+
+    it('Should not fail events if a listener throws', async() => {
+        const eventGate = makeEventGate();
+        eventGate.on('produced', () => {
+            throw new Error('listener failed');
+        });
+        const result = await eventGate.process(events.slice(0, 1), {});
+        assert.equal(result.success.length, 1);
+    });
+
+    it('Should not emit lifecycle events for error events', async() => {
+        const eventGate = makeEventGate({
+            mapToErrorEvent: (error, event) => ({ fake: 'error', original_event: event }),
+            awaitErrorEvents: true
+        });
+        const emitted = recordLifecycleEvents(eventGate);
+        let errorEventStatus;
+        eventGate.on('errorEventProduced', (s) => {
+            errorEventStatus = s;
+        });
+
+        await eventGate.process(events, {});
+        assert.equal(emitted.filter((e) => e.fake === 'error').length, 0);
+        assert.ok(errorEventStatus.timings.totalMs >= 0);
+    });
+});
+
+describe('EventGate ordering', () => {
+    // Events with key 'a' take longer to produce the earlier they are submitted,
+    // so without ordering they would be produced in reverse order.
+    const events = [
+        { key: 'a', n: 0, delay: 30 },
+        { key: 'b', n: 1, delay: 0 },
+        { key: 'a', n: 2, delay: 20 },
+        { key: 'a', n: 3, delay: 0 }
+    ];
+
+    function makeEventGate(options = {}) {
+        const eventGate = new EventGate(Object.assign({
+            log: logger,
+            validate: (event) => P.resolve(event),
+            produce: async(event) => {
+                eventGate.started.push(event.n);
+                await P.delay(event.delay);
+                eventGate.produced.push(event.n);
+                return event;
+            },
+            orderingKey: (event) => event.key
+        }, options));
+        eventGate.started = [];
+        eventGate.produced = [];
+        return eventGate;
+    }
+
+    it('Should produce events with the same ordering key in submission order', async() => {
+        const eventGate = makeEventGate();
+        const result = await eventGate.process(events, {});
+        assert.equal(result.success.length, 4);
+        assert.deepEqual(eventGate.produced.filter((n) => n !== 1), [0, 2, 3]);
+        // Events with other keys are not held up.
+        assert.equal(eventGate.produced[0], 1);
+        assert.equal(eventGate._orderingChains.size, 0);
+    });
+
+    it('Should process events in submission order across process() calls', async() => {
+        const eventGate = makeEventGate();
+        const first = eventGate.process(events.slice(0, 1), {});
+        const second = eventGate.process(events.slice(3), {});
+        await P.all([first, second]);
+        assert.deepEqual(eventGate.produced, [0, 3]);
+    });
+
+    it('Should keep ordering when an earlier event fails', async() => {
+        const eventGate = makeEventGate({
+            validate: (event) => {
+                if (event.n === 0) {
+                    throw new ValidationError('invalid event', []);
+                }
+                return P.resolve(event);
+            }
+        });
+        const result = await eventGate.process(events, {});
+        assert.equal(result.invalid.length, 1);
+        assert.deepEqual(eventGate.produced.filter((n) => n !== 1), [2, 3]);
+    });
+
+    it('Should process events concurrently without an ordering key', async() => {
+        const eventGate = makeEventGate({ orderingKey: undefined });
+        await eventGate.process(events, {});
+        assert.deepEqual(eventGate.produced, [1, 3, 2, 0]);
+    });
+
+    it('Should only wait for earlier batches with the same ordering key', async() => {
+        const batches = [];
+        const eventGate = makeEventGate({
+            produceBatch: async(batch) => {
+                await P.delay(batch[0].delay);
+                batches.push(batch.map((event) => event.n));
+                return batch;
+            }
+        });
+        await P.all([
+            eventGate.process(events.slice(0, 3), {}),
+            eventGate.process(events.slice(3), {})
+        ]);
+        // Each key's events are produced with a produceBatch call of their own.
+        assert.deepEqual(batches, [[1], [0, 2], [3]]);
+        assert.equal(eventGate._orderingChains.size, 0);
+    });
+});
+
+describe('EventGate close', () => {
+    const events = [
+        { fake: 'event0', delay: 0 },
+        { fake: 'event1', delay: 50 }
+    ];
+
+    function makeEventGate(options = {}) {
+        const eventGate = new EventGate(Object.assign({
+            log: logger,
+            validate: (event) => P.resolve(event),
+            produce: async(event) => {
+                await P.delay(event.delay);
+                eventGate.produced.push(event.fake);
+                return event;
+            }
+        }, options));
+        eventGate.produced = [];
+        return eventGate;
+    }
+
+    it('Should reject new events once closing', async() => {
+        const eventGate = makeEventGate();
+        await eventGate.close();
+        assert.equal(eventGate.hasCapacityFor(1), false);
+        await assert.rejects(eventGate.process(events, {}), EventGateClosingError);
+    });
+
+    it('Should drain in-flight events before closing', async() => {
+        const eventGate = makeEventGate();
+        const processing = eventGate.process(events, {});
+        const abandoned = await eventGate.close({ timeoutMs: 1000 });
+        assert.equal(abandoned, 0);
+        assert.deepEqual(eventGate.produced, ['event0', 'event1']);
+        assert.equal((await processing).success.length, 2);
+    });
+
+    [false, true].forEach((awaitErrorEvents) => {
+        it(`Should produce error events before closing (awaitErrorEvents: ${awaitErrorEvents})`, async() => {
+            const closed = [];
+            const produce = async(event) => {
+                if (event.error) {
+                    await P.delay(30);
+                    if (_.isEmpty(closed)) {
+                        eventGate.produced.push(event.error);
+                    }
+                    return event;
+                }
+                await P.delay(10);
+                throw new Error(`${event.fake} failed`);
+            };
+            produce.close = () => closed.push('produce');
+            const eventGate = makeEventGate({
+                produce,
+                awaitErrorEvents,
+                mapToErrorEvent: (error, event) => ({ error: error.message })
+            });
+
+            const processing = eventGate.process([events[0]], {});
+            await eventGate.close({ timeoutMs: 1000 });
+            assert.deepEqual(eventGate.produced, ['event0 failed']);
+            assert.deepEqual(closed, ['produce']);
+            assert.equal((await processing).error.length, 1);
+        });
+    });
+
+    it('Should abandon in-flight events after timeoutMs', async() => {
+        const eventGate = makeEventGate();
+        const processing = eventGate.process(events, {});
+        const abandoned = await eventGate.close({ timeoutMs: 10 });
+        assert.equal(abandoned, 1);
+        assert.deepEqual(eventGate.produced, ['event0']);
+        await processing;
+    });
+
+    it('Should give close functions the time that is left after draining', async() => {
+        const timeouts = [];
+        const produce = async(event) => {
+            await P.delay(event.delay);
+            return event;
+        };
+        produce.close = (closeOptions) => timeouts.push(closeOptions.timeoutMs);
+        const eventGate = makeEventGate({ produce });
+        eventGate.onClose((closeOptions) => timeouts.push(closeOptions.timeoutMs));
+
+        eventGate.process(events, {});
+        await eventGate.close({ timeoutMs: 200 });
+        assert.equal(timeouts.length, 2);
+        timeouts.forEach((timeoutMs) => assert.ok(timeoutMs > 0 && timeoutMs <= 150));
+    });
+
+    it('Should call close functions of produce, stages and onClose handlers', async() => {
+        const closed = [];
+        const produce = (event) => P.resolve(event);
+        produce.close = () => closed.push('produce');
+        const eventGate = makeEventGate({
+            produce,
+            stages: {
+                preValidate: [{
+                    name: 'noop',
+                    fn: (event) => event,
+                    close: () => closed.push('stage')
+                }]
+            }
+        });
+        eventGate.onClose(async() => {
+            await P.delay(1);
+            closed.push('handler');
+        });
+        eventGate.onClose(() => {
+            throw new Error('close failure');
+        });
+        eventGate.onClose(() => closed.push('last handler'));
+
+        await eventGate.close();
+        assert.deepEqual(closed, ['produce', 'stage', 'handler', 'last handler']);
+    });
+});
@@ -1,5 +1,6 @@
 'use strict';
 
+const _ = require('lodash');
 const bunyan = require('bunyan');
 const assert = require('assert');
 const P = require('bluebird');
@@ -9,7 +10,10 @@ const eventgateModule = require('../../../../lib/factories/default-eventgate');
 const logger = bunyan.createLogger({ name: 'test/EventValidator', level: 'fatal' });
 
 const {
-    ValidationError
+    ValidationError,
+    UnknownStreamError,
+    UnauthorizedSchemaForStreamError,
+    EventTimeoutError
 } = require('../../../../lib/error');
 
 
@@ -156,3 +160,699 @@ describe('default-eventgate makeValidate', () => {
     });
 
 });
+
+
+describe('default-eventgate makeAjvPlugins', () => {
+    it('Should not load Ajv plugins if ajv_plugins is not configured', () => {
+        assert.strictEqual(eventgateModule.makeAjvPlugins({}, logger), undefined);
+    });
+
+    it('Should load Ajv plugins from ajv_plugins modules', () => {
+        const plugins = eventgateModule.makeAjvPlugins(
+            { ajv_plugins: ['lib/ajv-formats'], app_base_path: process.cwd() }, logger
+        );
+        assert.deepEqual(plugins, [require('../../../../lib/ajv-formats')]);
+    });
+
+    it('Should throw if an Ajv plugin module has no formats or keywords', () => {
+        assert.throws(
+            () => eventgateModule.makeAjvPlugins({ ajv_plugins: ['lodash'] }, logger),
+            /does not export any formats or keywords/
+        );
+    });
+
+    it('Should make an EventValidator with ajv_config and ajv_plugins', async() => {
+        const eventValidator = eventgateModule.makeEventValidator({
+            schema_base_uris: ['./test/schemas/'],
+            schema_uri_field: '$schema',
+            ajv_config: { allErrors: false },
+            ajv_plugins: ['lib/ajv-formats']
+        }, logger);
+        assert.equal(eventValidator.ajv._opts.allErrors, false);
+        assert.ok(eventValidator.ajv._formats['uuid-v4']);
+    });
+});
+
+describe('default-eventgate preloadSchemas', () => {
+    const { EventSchemaLoadError } = require('../../../../lib/error');
+
+    const options = {
+        schema_base_uris: ['./test/schemas/'],
+        schema_uri_field: '$schema'
+    };
+
+    it('Should not preload schemas if schema_preload is not configured', async() => {
+        const eventValidator = eventgateModule.makeEventValidator(options, logger);
+        assert.deepEqual(
+            await eventgateModule.preloadSchemas(eventValidator, options, logger),
+            { preloaded: [], failed: [] }
+        );
+    });
+
+    it('Should preload schema_preload.uris', async() => {
+        const eventValidator = eventgateModule.makeEventValidator(options, logger);
+        const report = await eventgateModule.preloadSchemas(
+            eventValidator,
+            _.assign({ schema_preload: { uris: ['/test/0.0.1'] } }, options),
+            logger
+        );
+        assert.deepEqual(report.preloaded, ['/test/0.0.1']);
+        assert.ok(eventValidator.ajv.getSchema('/test/0.0.1'));
+    });
+
+    it('Should throw if schemas fail to preload', async() => {
+        const eventValidator = eventgateModule.makeEventValidator(options, logger);
+        await assert.rejects(
+            eventgateModule.preloadSchemas(
+                eventValidator,
+                _.assign({ schema_preload: { uris: ['/test/0.0.1', '/nope/0.0.1'] } }, options),
+                logger
+            ),
+            (err) => err instanceof EventSchemaLoadError &&
+                _.isEqual(_.map(err.failed, 'uri'), ['/nope/0.0.1'])
+        );
+    });
+
+    it('Should only warn if schemas fail to preload and fail_on_error is false', async() => {
+        const eventValidator = eventgateModule.makeEventValidator(options, logger);
+        const report = await eventgateModule.preloadSchemas(
+            eventValidator,
+            _.assign({ schema_preload: { uris: ['/nope/0.0.1'], fail_on_error: false } }, options),
+            logger
+        );
+        assert.deepEqual(_.map(report.failed, 'uri'), ['/nope/0.0.1']);
+    });
+});
+
+describe('default-eventgate makeValidate with stream config', () => {
+
+    const options = {
+        schema_base_uris: ['./test/schemas/'],
+        schema_uri_field: '$schema',
+        stream_field: 'meta.stream',
+        stream_config_uri: './test/schemas/stream-config.test.yaml'
+    };
+
+    const testEvent = {
+        '$schema': '/test/0.0.1',
+        meta: {
+            stream: 'test.event',
+            id: '5e1dd101-641c-11e8-ab6c-b083fecf1287',
+        },
+        test: 'test_value_0'
+    };
+
+    let validate;
+    before(async() => {
+        const streamConfigs = await eventgateModule.makeStreamConfigs(options, logger);
+        validate = eventgateModule.makeValidate(options, logger, streamConfigs);
+    });
+
+    it('Should validate event with schema allowed in its stream', async() => {
+        const validEvent = await validate(_.cloneDeep(testEvent));
+        assert.equal(validEvent.test, testEvent.test);
+    });
+
+    it('Should validate event in a stream configured by regex', async() => {
+        const validEvent = await validate({
+            '$schema': '/test_draft4/0.0.1',
+            meta: {
+                stream: 'test_draft4.event',
+                id: '5e1dd101-641c-11e8-ab6c-b083fecf1287',
+            },
+            test: 'test_value_0'
+        });
+        assert.equal(validEvent.meta.stream, 'test_draft4.event');
+    });
+
+    it('Should throw UnknownStreamError for unconfigured stream', async() => {
+        const event = _.cloneDeep(testEvent);
+        event.meta.stream = 'not.configured';
+        await assert.rejects(validate(event), (err) => {
+            assert(err instanceof UnknownStreamError);
+            assert(err instanceof ValidationError);
+            assert.equal(err.stream, 'not.configured');
+            return true;
+        });
+    });
+
+    it('Should throw ValidationError for event without a stream', async() => {
+        const event = _.cloneDeep(testEvent);
+        delete event.meta.stream;
+        await assert.rejects(validate(event), (err) => {
+            assert(err instanceof ValidationError);
+            assert.deepEqual(err.failures(event), [{
+                pointer: '',
+                keyword: 'stream',
+                actual: event,
+                message: err.message
+            }]);
+            return true;
+        });
+    });
+
+    it('Should throw UnauthorizedSchemaForStreamError for schema not allowed in stream', async() => {
+        const event = _.cloneDeep(testEvent);
+        event.$schema = '/test_draft4/0.0.1';
+        await assert.rejects(validate(event), (err) => {
+            assert(err instanceof UnauthorizedSchemaForStreamError);
+            assert(err instanceof ValidationError);
+            assert.equal(err.schema_title, 'test_draft4');
+            return true;
+        });
+    });
+});
+
+
+describe('default-eventgate makeEnrichEvent', () => {
+
+    const options = {
+        schema_base_uris: ['./test/schemas/'],
+        schema_uri_field: '$schema',
+        enrich_id_field: 'meta.id',
+        enrich_dt_field: 'meta.dt',
+        enrich_received_dt_field: 'meta.received_dt',
+        enrich_request_id_field: 'meta.request_id'
+    };
+
+    const context = {
+        req: { headers: { 'x-request-id': 'abcd-1234' } }
+    };
+
+    it('Should not make an enrich function if no enrich fields are configured', () => {
+        assert.strictEqual(eventgateModule.makeEnrichEvent({}), undefined);
+    });
+
+    it('Should set missing fields', () => {
+        const enrichEvent = eventgateModule.makeEnrichEvent(options);
+        const event = enrichEvent({ meta: { stream: 'test.event' } }, context);
+
+        assert.ok(/^[a-f0-9]{8}(-[a-f0-9]{4}){3}-[a-f0-9]{12}$/.test(event.meta.id));
+        assert.ok(!isNaN(Date.parse(event.meta.dt)));
+        assert.ok(!isNaN(Date.parse(event.meta.received_dt)));
+        assert.equal(event.meta.request_id, 'abcd-1234');
+    });
+
+    it('Should not overwrite id and dt fields set by client', () => {
+        const enrichEvent = eventgateModule.makeEnrichEvent(options);
+        const event = enrichEvent({
+            meta: {
+                id: '5e1dd101-641c-11e8-ab6c-b083fecf1287',
+                dt: '2018-12-03T14:30:00.000Z',
+                received_dt: '2000-01-01T00:00:00.000Z'
+            }
+        }, context);
+
+        assert.equal(event.meta.id, '5e1dd101-641c-11e8-ab6c-b083fecf1287');
+        assert.equal(event.meta.dt, '2018-12-03T14:30:00.000Z');
+        assert.notEqual(event.meta.received_dt, '2000-01-01T00:00:00.000Z');
+    });
+
+    it('Should enrich events before they are validated', async() => {
+        const eventGate = await eventgateModule.factory(
+            Object.assign({ output_path: undefined }, options), logger
+        );
+        eventGate.produce = (event) => P.resolve(event);
+
+        const result = await eventGate.process([{
+            $schema: '/error/0.0.1',
+            meta: { stream: 'test.error' },
+            raw_event: '{}',
+            message: 'enriched error'
+        }], context);
+
+        assert.equal(result.success.length, 1);
+        assert.equal(result.success[0].event.meta.request_id, 'abcd-1234');
+    });
+});
+
+
+describe('default-eventgate isRetryableProduceError', () => {
+    function kafkaError(code) {
+        const err = new Error(`kafka error ${code}`);
+        err.code = code;
+        return err;
+    }
+
+    it('Should retry transient Kafka errors', () => {
+        // ERR__QUEUE_FULL
+        assert.ok(eventgateModule.isRetryableProduceError(kafkaError(-184)));
+    });
+
+    it('Should not retry permanent Kafka errors', () => {
+        // ERR_MSG_SIZE_TOO_LARGE
+        assert.ok(!eventgateModule.isRetryableProduceError(kafkaError(10)));
+    });
+
+    it('Should retry other errors', () => {
+        assert.ok(eventgateModule.isRetryableProduceError(new Error('oops')));
+    });
+
+    it('Should not retry timed out produces', () => {
+        assert.ok(!eventgateModule.isRetryableProduceError(new EventTimeoutError('timed out')));
+    });
+
+    it('Should only retry timed out produces if produce_retry.retry_timeouts is set', () => {
+        const timeoutError = new EventTimeoutError('timed out');
+        assert.ok(!eventgateModule.makeProduceRetryPolicy(
+            { produce_retry: {} }, logger
+        ).isRetryable(timeoutError));
+        assert.ok(eventgateModule.makeProduceRetryPolicy(
+            { produce_retry: { retry_timeouts: true } }, logger
+        ).isRetryable(timeoutError));
+    });
+
+    it('Should not make a RetryPolicy if produce_retry is not configured', () => {
+        assert.strictEqual(eventgateModule.makeProduceRetryPolicy({}, logger), undefined);
+    });
+
+    it('Should make a RetryPolicy from produce_retry', () => {
+        const retryPolicy = eventgateModule.makeProduceRetryPolicy(
+            { produce_retry: { max_attempts: 5 } }, logger
+        );
+        assert.equal(retryPolicy.maxAttempts, 5);
+        assert.equal(retryPolicy.baseDelayMs, 100);
+    });
+});
+
+describe('default-eventgate makeProduceBatch', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    let tmpDir;
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eventgate-test-'));
+    });
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('Should write a batch of events to output_path', async() => {
+        const outputPath = path.join(tmpDir, 'output.json');
+        const produceBatch = await eventgateModule.makeProduceBatch(
+            { output_path: outputPath }, logger
+        );
+        const events = [{ id: 1 }, { id: 2 }];
+
+        const results = await produceBatch(events, {});
+        assert.deepEqual(results, [undefined, undefined]);
+        // The write stream writes asynchronously, wait for it to finish.
+        await P.delay(20);
+        assert.deepEqual(
+            fs.readFileSync(outputPath, 'utf-8').trim().split('\n').map(JSON.parse),
+            events
+        );
+    });
+
+    it('Should reject a fallback_sink that writes to output_path', async() => {
+        const outputPath = path.join(tmpDir, 'output.json');
+        const kafka = { conf: { 'metadata.broker.list': 'localhost:9092' }, topic_conf: {} };
+        for (const fallbackSink of ['file', 'archive']) {
+            await assert.rejects(eventgateModule.makeProduceBatch({
+                output_path: outputPath,
+                kafka,
+                sinks: { archive: { type: 'file', output_path: outputPath } },
+                circuit_breaker: { fallback_sink: fallbackSink }
+            }, logger), /already written/);
+        }
+    });
+
+    it('Should end the output_path file when closed', async() => {
+        const outputPath = path.join(tmpDir, 'output.json');
+        const produceBatch = await eventgateModule.makeProduceBatch(
+            { output_path: outputPath }, logger
+        );
+        const events = [{ id: 1 }, { id: 2 }];
+
+        await produceBatch(events, {});
+        await produceBatch.close();
+        assert.deepEqual(
+            fs.readFileSync(outputPath, 'utf-8').trim().split('\n').map(JSON.parse),
+            events
+        );
+    });
+});
+
+describe('default-eventgate factory ordering_key_field', () => {
+    it('Should extract ordering keys from ordering_key_field', async() => {
+        const eventGate = await eventgateModule.factory(
+            { output_path: undefined, ordering_key_field: 'page.id' }, logger
+        );
+        assert.equal(eventGate.orderingKey({ page: { id: 123 } }), 123);
+    });
+});
+
+describe('default-eventgate factory ordering with Kafka', () => {
+    const { GuaranteedProducer } = require('@wikimedia/node-rdkafka-factory');
+    const originalProducerFactory = GuaranteedProducer.factory;
+
+    const options = {
+        schema_base_uris: ['./test/schemas/'],
+        schema_uri_field: '$schema',
+        stream_field: 'meta.stream',
+        output_path: undefined,
+        ordering_key_field: 'test',
+        kafka: { conf: { 'metadata.broker.list': 'localhost:9092' }, topic_conf: {} },
+        produce_retry: { base_delay_ms: 1 }
+    };
+
+    function makeEvent(key, n, delay = 0) {
+        return {
+            $schema: '/test/0.0.1',
+            meta: { stream: 'test.event', id: '5e1dd101-641c-11e8-ab6c-b083fecf1287' },
+            test: key,
+            n,
+            delay
+        };
+    }
+
+    // Kafka messages as [key, n], in the order they were produced.
+    let produced;
+    // Events with these n fail to be produced once, with ERR__QUEUE_FULL.
+    let failOnce;
+    beforeEach(() => {
+        produced = [];
+        failOnce = new Set();
+        GuaranteedProducer.factory = async() => ({
+            produce: async(topic, partition, message, key) => {
+                const event = JSON.parse(message);
+                await P.delay(event.delay);
+                if (failOnce.delete(event.n)) {
+                    throw Object.assign(new Error('queue full'), { code: -184 });
+                }
+                produced.push([key, event.n]);
+                return { topic };
+            }
+        });
+    });
+    afterEach(() => {
+        GuaranteedProducer.factory = originalProducerFactory;
+    });
+
+    it('Should produce events with the same ordering key in order, keyed by it', async() => {
+        const eventGate = await eventgateModule.factory(_.cloneDeep(options), logger);
+        const result = await eventGate.process([
+            makeEvent('a', 0, 30),
+            makeEvent('b', 1),
+            makeEvent('a', 2)
+        ], {});
+
+        assert.equal(result.success.length, 3);
+        // Events with other keys are not held up.
+        assert.deepEqual(produced, [['b', 1], ['a', 0], ['a', 2]]);
+    });
+
+    it('Should not let events overtake earlier events with the same key that are retried', async() => {
+        failOnce.add(0);
+        const eventGate = await eventgateModule.factory(_.cloneDeep(options), logger);
+        const result = await eventGate.process([makeEvent('a', 0), makeEvent('a', 1)], {});
+
+        assert.deepEqual(result.success.map((s) => s.attempts), [2, 2]);
+        assert.deepEqual(produced, [['a', 0], ['a', 1]]);
+    });
+});
+
+describe('default-eventgate schema_upgrades', () => {
+    const options = {
+        schema_base_uris: ['./test/schemas/'],
+        schema_uri_field: '$schema',
+        stream_field: 'meta.stream',
+        output_path: undefined,
+        schema_upgrades: [
+            {
+                from: '/test/0.0.1',
+                to: '/test/0.0.2',
+                rules: [{ set_default: 'test_new_field', value: 'upgraded' }]
+            },
+            {
+                from: '/test/0.0.0',
+                to: '/test/0.0.1',
+                module: '../test/utils/schema_upgrade_test'
+            }
+        ]
+    };
+
+    it('Should not make SchemaUpgrades if schema_upgrades is not configured', () => {
+        assert.strictEqual(eventgateModule.makeSchemaUpgrades({}, logger), undefined);
+    });
+
+    it('Should upgrade events to the latest schema version before validation', async() => {
+        const eventGate = await eventgateModule.factory(_.cloneDeep(options), logger);
+        const context = {};
+
+        const result = await eventGate.process([{
+            $schema: '/test/0.0.0',
+            meta: { stream: 'test.event' },
+            test: 'old'
+        }], context);
+
+        assert.equal(result.success.length, 1);
+        assert.deepEqual(result.success[0].event, {
+            $schema: '/test/0.0.2',
+            meta: { stream: 'test.event' },
+            test_map: { test: 'old' },
+            test_new_field: 'upgraded',
+            test_default: 'default_value'
+        });
+        assert.deepEqual(context.schemaUpgrades, [{ from: '/test/0.0.0', to: '/test/0.0.2' }]);
+    });
+});
+
+describe('default-eventgate makeSampling', () => {
+    const StreamConfigs = require('../../../../lib/StreamConfigs');
+
+    const options = {
+        stream_field: 'meta.stream',
+        sampling: {
+            key_field: 'session',
+            streams: {
+                'never.sampled': { rate: 1 },
+                '/^always\\.sampled_out\\..+/': { rate: 0 }
+            }
+        }
+    };
+
+    it('Should not make a sampling stage if not configured', () => {
+        assert.strictEqual(eventgateModule.makeSampling({}, logger), undefined);
+    });
+
+    it('Should sample streams by sampling.streams', () => {
+        const stage = eventgateModule.makeSampling(options, logger);
+        const kept = { meta: { stream: 'never.sampled' }, session: 'a' };
+        assert.equal(stage.fn(kept), kept);
+        assert.equal(stage.fn({ meta: { stream: 'always.sampled_out.a' } }).status, 'sampled_out');
+        const unconfigured = { meta: { stream: 'other' } };
+        assert.equal(stage.fn(unconfigured), unconfigured);
+    });
+
+    it('Should prefer sampling settings from stream config', () => {
+        const streamConfigs = new StreamConfigs({
+            'never.sampled': { schema_title: 'test', sampling: { rate: 0 } }
+        });
+        const stage = eventgateModule.makeSampling(options, logger, streamConfigs);
+        assert.equal(stage.fn({ meta: { stream: 'never.sampled' } }).status, 'sampled_out');
+    });
+});
+
+describe('default-eventgate makeDeadLetterSpool', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { DeadLetterSpool } = require('../../../../lib/dead-letter');
+
+    let tmpDir;
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eventgate-test-'));
+    });
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('Should not make a DeadLetterSpool if dead_letter is not configured', () => {
+        assert.strictEqual(eventgateModule.makeDeadLetterSpool({}, logger), undefined);
+    });
+
+    it('Should make a DeadLetterSpool from dead_letter', () => {
+        const spool = eventgateModule.makeDeadLetterSpool(
+            { dead_letter: { directory: tmpDir, max_file_bytes: 1024, max_files: 3 } }, logger
+        );
+        assert.ok(spool instanceof DeadLetterSpool);
+        assert.equal(spool.directory, tmpDir);
+        assert.equal(spool.maxFileBytes, 1024);
+        assert.equal(spool.maxFiles, 3);
+    });
+});
+
+describe('default-eventgate routing', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { UnroutableEventError, SinkProduceError } = require('../../../../lib/error');
+
+    const routeOptions = {
+        stream_field: 'meta.stream',
+        schema_uri_field: '$schema',
+        routes: [
+            { streams: ['/^analytics\\..+/'], sinks: ['analytics'], optional: true, continue: true },
+            { schema_uris: ['/^\\/legacy\\//'], sinks: ['legacy'] },
+            { streams: ['/^analytics\\..+/', 'main'], sinks: ['main', 'analytics'] }
+        ]
+    };
+
+    let tmpDir;
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eventgate-test-'));
+    });
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('Should route events by stream and schema URI patterns', () => {
+        const route = eventgateModule.makeRoute(routeOptions);
+        assert.deepEqual(
+            route({ $schema: '/x/1.0.0', meta: { stream: 'analytics.clicks' } }),
+            [{ sink: 'analytics', optional: false }, { sink: 'main', optional: false }]
+        );
+        // The first matching route wins, unless it has continue.
+        assert.deepEqual(
+            route({ $schema: '/legacy/1.0.0', meta: { stream: 'main' } }),
+            [{ sink: 'legacy', optional: false }]
+        );
+        assert.deepEqual(route({ $schema: '/x/1.0.0', meta: { stream: 'other' } }), []);
+    });
+
+    it('Should keep sinks of only optional routes optional', () => {
+        const route = eventgateModule.makeRoute({
+            stream_field: 'meta.stream',
+            routes: [{ sinks: ['a'], optional: true }]
+        });
+        assert.deepEqual(route({ meta: { stream: 'x' } }), [{ sink: 'a', optional: true }]);
+    });
+
+    it('Should throw if a route has no sinks', () => {
+        assert.throws(() => eventgateModule.makeRoute({ routes: [{ streams: ['a'] }] }));
+    });
+
+    it('Should throw if a sink has an unknown type', async() => {
+        await assert.rejects(eventgateModule.makeSinks(
+            { sinks: { nope: { type: 'carrier_pigeon' } } }, logger
+        ));
+    });
+
+    it('Should throw if a route has an unknown sink', async() => {
+        await assert.rejects(eventgateModule.makeRoutedProduceBatch(
+            _.defaults({ sinks: {} }, routeOptions), logger
+        ));
+    });
+
+    it('Should produce events to the sinks of their routes and report per sink results', async() => {
+        const sinkPath = (name) => path.join(tmpDir, `${name}.json`);
+        const produceBatch = await eventgateModule.makeRoutedProduceBatch(
+            _.defaults({
+                sinks: {
+                    main: { type: 'file', output_path: sinkPath('main') },
+                    analytics: { type: 'file', output_path: sinkPath('analytics') },
+                    legacy: { type: 'file', output_path: sinkPath('legacy') }
+                }
+            }, routeOptions),
+            logger
+        );
+
+        const events = [
+            { $schema: '/x/1.0.0', meta: { stream: 'analytics.clicks' } },
+            { $schema: '/legacy/1.0.0', meta: { stream: 'main' } },
+            { $schema: '/x/1.0.0', meta: { stream: 'other' } }
+        ];
+        const results = await P.all(await produceBatch(events, {}));
+        assert.deepEqual(results[0], {
+            sinks: { analytics: { status: 'success' }, main: { status: 'success' } }
+        });
+        assert.deepEqual(results[1], { sinks: { legacy: { status: 'success' } } });
+        assert.ok(results[2] instanceof UnroutableEventError);
+
+        // The write streams write asynchronously, wait for them to finish.
+        await P.delay(20);
+        const readEvents = (name) => {
+            return fs.readFileSync(sinkPath(name), 'utf-8').trim().split('\n').map(JSON.parse);
+        };
+        assert.deepEqual(readEvents('main'), [events[0]]);
+        assert.deepEqual(readEvents('analytics'), [events[0]]);
+        assert.deepEqual(readEvents('legacy'), [events[1]]);
+    });
+
+    it('Should share one file between sinks that write to the same output_path', async() => {
+        const outputPath = path.join(tmpDir, 'output.json');
+        const sinks = await eventgateModule.makeSinks({
+            output_path: outputPath,
+            sinks: { archive: { type: 'file', output_path: outputPath } }
+        }, logger);
+        assert.strictEqual(sinks.archive, sinks.file);
+        await sinks.file.close();
+    });
+
+    it('Should only retry SinkProduceErrors with retryable causes', () => {
+        const kafkaError = (code) => Object.assign(new Error('kafka'), { code });
+        assert.equal(eventgateModule.isRetryableProduceError(
+            new SinkProduceError('failed', { causes: [kafkaError(10), kafkaError(-184)] })
+        ), true);
+        assert.equal(eventgateModule.isRetryableProduceError(
+            new SinkProduceError('failed', { causes: [kafkaError(10)] })
+        ), false);
+        assert.equal(
+            eventgateModule.isRetryableProduceError(new UnroutableEventError('nope')), false
+        );
+    });
+});
+
+describe('default-eventgate makeCircuitBreaker', () => {
+    const { CircuitOpenError } = require('../../../../lib/error');
+
+    it('Should make a CircuitBreaker that reports its state in metrics', async() => {
+        const states = [];
+        const metrics = {
+            makeMetric: () => ({ set: (value, labels) => states.push([value, labels]) }),
+            getServiceLabel: () => ({})
+        };
+        const circuitBreaker = eventgateModule.makeCircuitBreaker(
+            'kafka', { min_calls: 1 }, undefined, logger, metrics
+        );
+        await circuitBreaker.run(() => {
+            throw new Error('Kafka is down');
+        }).catch(() => {});
+        await assert.rejects(circuitBreaker.run(() => 'ok'), CircuitOpenError);
+        assert.deepEqual(states, [[0, ['kafka']], [2, ['kafka']]]);
+        assert.equal(
+            eventgateModule.isRetryableProduceError(new CircuitOpenError('open')), false
+        );
+    });
+
+    it('Should open the circuit if the sink never responds', async() => {
+        const circuitBreaker = eventgateModule.makeCircuitBreaker(
+            'kafka', { min_calls: 2, call_timeout_ms: 10 }, undefined, logger
+        );
+        const produce = circuitBreaker.wrap(() => new Promise(() => {}));
+        await assert.rejects(produce({ id: 1 }), EventTimeoutError);
+        await assert.rejects(produce({ id: 2 }), EventTimeoutError);
+        await assert.rejects(produce({ id: 3 }), CircuitOpenError);
+    });
+
+    it('Should produce to the fallback sink while open', async() => {
+        const fallbackEvents = [];
+        const circuitBreaker = eventgateModule.makeCircuitBreaker(
+            'kafka',
+            { min_calls: 1, fallback_sink: 'file' },
+            async(events) => {
+                fallbackEvents.push(...events);
+                return events.map(() => undefined);
+            },
+            logger
+        );
+        const produce = circuitBreaker.wrap(() => {
+            throw new Error('Kafka is down');
+        });
+        await produce({ id: 1 }).catch(() => {});
+        assert.deepEqual(await produce({ id: 2 }), { fallback_sink: 'file' });
+        assert.deepEqual(fallbackEvents, [{ id: 2 }]);
+    });
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const assert = require('assert');
+const P = require('bluebird');
+
+const {
+    TokenBucket,
+    RateLimiter,
+    clientKey,
+    makeStreamRateLimitStage
+} = require('../../../lib/rate-limit');
+const StreamConfigs = require('../../../lib/StreamConfigs');
+const { EventGate } = require('../../../lib/eventgate');
+const { ValidationError } = require('../../../lib/error');
+
+describe('TokenBucket', () => {
+    it('Should throw if rate is not positive', () => {
+        assert.throws(() => new TokenBucket({ rate: 0 }));
+    });
+
+    it('Should allow up to burst tokens and then tell when to retry', () => {
+        const bucket = new TokenBucket({ rate: 1, burst: 3 });
+        assert.equal(bucket.take(2), 0);
+        assert.equal(bucket.take(1), 0);
+        assert.equal(bucket.take(2), 2);
+    });
+
+    it('Should refill tokens over time', async() => {
+        const bucket = new TokenBucket({ rate: 100, burst: 1 });
+        assert.equal(bucket.take(1), 0);
+        assert.equal(bucket.take(1), 1);
+        await P.delay(20);
+        assert.equal(bucket.take(1), 0);
+    });
+
+    it('Should allow more than burst tokens only if full', () => {
+        const bucket = new TokenBucket({ rate: 1, burst: 2 });
+        assert.equal(bucket.take(5), 0);
+        assert.ok(bucket.take(1) > 0);
+    });
+});
+
+describe('RateLimiter', () => {
+    it('Should limit each key separately', () => {
+        const rateLimiter = new RateLimiter({ rate: 1, burst: 1 });
+        assert.equal(rateLimiter.take('a'), 0);
+        assert.equal(rateLimiter.take('b'), 0);
+        assert.ok(rateLimiter.take('a') > 0);
+    });
+
+    it('Should forget the oldest keys after maxKeys', () => {
+        const rateLimiter = new RateLimiter({ rate: 1, burst: 1, maxKeys: 1 });
+        rateLimiter.take('a');
+        rateLimiter.take('b');
+        assert.equal(rateLimiter.take('a'), 0);
+    });
+});
+
+describe('clientKey', () => {
+    const req = {
+        headers: { 'x-forwarded-for': '10.0.0.1, 10.0.0.2', 'x-api-key': 'secret' },
+        connection: { remoteAddress: '127.0.0.1' }
+    };
+
+    it('Should key clients by remote address by default', () => {
+        assert.equal(clientKey(req), 'ip:127.0.0.1');
+    });
+
+    it('Should key clients by the X-Forwarded-For address added by the outermost trusted proxy', () => {
+        assert.equal(clientKey(req, { trusted_proxies: 1 }), 'ip:10.0.0.2');
+        assert.equal(clientKey(req, { trusted_proxies: 2 }), 'ip:10.0.0.1');
+        // With fewer addresses than trusted proxies, the leftmost one is used.
+        assert.equal(clientKey(req, { trusted_proxies: 5 }), 'ip:10.0.0.1');
+        const directReq = { headers: {}, connection: { remoteAddress: '127.0.0.1' } };
+        assert.equal(clientKey(directReq, { trusted_proxies: 1 }), 'ip:127.0.0.1');
+    });
+
+    it('Should key clients by known API keys', () => {
+        assert.equal(clientKey(req, { key: 'api_key', api_keys: ['secret'] }), 'api_key:secret');
+        assert.equal(
+            clientKey(req, { key: 'api_key', api_key_header: 'X-Other-Key', api_keys: ['secret'] }),
+            'ip:127.0.0.1'
+        );
+        // Unknown API keys could be made up to get a fresh rate limit.
+        assert.equal(clientKey(req, { key: 'api_key', api_keys: ['other'] }), 'ip:127.0.0.1');
+        assert.equal(clientKey(req, { key: 'api_key' }), 'ip:127.0.0.1');
+    });
+});
+
+describe('makeStreamRateLimitStage', () => {
+    it('Should give events of streams over their limit a rate_limited status', () => {
+        const stage = makeStreamRateLimitStage({
+            extractStream: (event) => event.stream,
+            streamLimits: new StreamConfigs({ '/^limited\\..+/': { rate: 1, burst: 1 } })
+        });
+
+        const events = [
+            { stream: 'limited.a' },
+            { stream: 'limited.a' },
+            { stream: 'limited.b' },
+            { stream: 'unlimited' }
+        ];
+        const results = events.map((event) => stage.fn(event));
+        assert.equal(results[0], events[0]);
+        assert.equal(results[1].status, 'rate_limited');
+        assert.equal(results[1].context.stream, 'limited.a');
+        assert.equal(results[1].context.retry_after_seconds, 1);
+        assert.equal(results[2], events[2]);
+        assert.equal(results[3], events[3]);
+    });
+
+    it('Should not use up tokens for invalid events if run after validation', async() => {
+        const eventGate = new EventGate({
+            validate: (event) => {
+                if (event.invalid) {
+                    throw new ValidationError('invalid event', []);
+                }
+                return event;
+            },
+            produce: (event) => event
+        });
+        eventGate.addStage('postValidate', makeStreamRateLimitStage({
+            extractStream: (event) => event.stream,
+            streamLimits: new StreamConfigs({ limited: { rate: 1, burst: 1 } })
+        }));
+
+        const result = await eventGate.process([
+            { stream: 'limited', invalid: true },
+            { stream: 'limited' },
+            { stream: 'limited' }
+        ], {});
+        assert.equal(result.invalid.length, 1);
+        assert.equal(result.success.length, 1);
+        assert.equal(result.rate_limited.length, 1);
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+const bunyan = require('bunyan');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const {
+    replay,
+    parseArgs,
+    loadAppConf
+} = require('../../../lib/replay');
+const { DeadLetterSpool } = require('../../../lib/dead-letter');
+const { EventGate, EventStatus } = require('../../../lib/eventgate');
+
+const logger = bunyan.createLogger({ name: 'test/replay', level: 'fatal' });
+
+describe('replay', () => {
+    let directory;
+    let produced;
+    let eventGate;
+
+    beforeEach(async() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eventgate-replay-'));
+        produced = [];
+        eventGate = new EventGate({
+            validate: (event) => event,
+            produce: (event) => {
+                if (event.fail) {
+                    throw new Error('Kafka is still down');
+                }
+                produced.push(event);
+                return event;
+            },
+            log: logger
+        });
+
+        const spool = new DeadLetterSpool({ directory, maxFileBytes: 1 });
+        await spool.write([
+            new EventStatus('error', new Error('nope'), { a: 1 }),
+            new EventStatus('error', new Error('nope'), { a: 2 })
+        ]);
+        await spool.write(new EventStatus('error', new Error('nope'), { a: 3, fail: true }));
+        await spool.close();
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('Should re-process dead-letter events and report their statuses', async() => {
+        const files = DeadLetterSpool.files(directory);
+        const report = await replay(eventGate, files, { batchSize: 1, log: logger });
+
+        assert.deepEqual(produced, [{ a: 1 }, { a: 2 }]);
+        assert.equal(report.total.success, 2);
+        assert.equal(report.total.error, 1);
+        assert.deepEqual(report.files.map((f) => f.events), [2, 1]);
+        assert.deepEqual(report.files.map((f) => f.replayed), [true, false]);
+        // Files are kept unless remove is set.
+        assert.equal(DeadLetterSpool.files(directory).length, 2);
+    });
+
+    it('Should remove only files whose events were all produced', async() => {
+        const files = DeadLetterSpool.files(directory);
+        await replay(eventGate, files, { remove: true });
+        assert.deepEqual(DeadLetterSpool.files(directory), [files[1]]);
+    });
+
+    it('Should count events with any accepted status as replayed', async() => {
+        eventGate.addStage('preValidate', (event) => (event.a === 2 ? null : event));
+        const files = DeadLetterSpool.files(directory);
+        const report = await replay(eventGate, files, { remove: true });
+
+        assert.deepEqual(produced, [{ a: 1 }]);
+        assert.equal(report.files[0].statuses.dropped, 1);
+        assert.deepEqual(report.files.map((f) => f.replayed), [true, false]);
+        assert.deepEqual(DeadLetterSpool.files(directory), [files[1]]);
+    });
+});
+
+describe('replay parseArgs', () => {
+    it('Should parse options and files', () => {
+        assert.deepEqual(
+            parseArgs(['-c', 'my.yaml', '--batch-size', '10', '--remove', 'a.ndjson', 'b.ndjson']),
+            {
+                config: 'my.yaml',
+                batchSize: 10,
+                remove: true,
+                help: false,
+                files: ['a.ndjson', 'b.ndjson']
+            }
+        );
+    });
+
+    it('Should throw on unknown or incomplete options', () => {
+        assert.throws(() => parseArgs(['--nope']));
+        assert.throws(() => parseArgs(['-c']));
+        assert.throws(() => parseArgs(['--batch-size', 'zero']));
+    });
+});
+
+describe('replay loadAppConf', () => {
+    it('Should load the app conf from a service-runner config', () => {
+        const conf = loadAppConf(path.join(__dirname, '..', '..', '..', 'config.yaml'));
+        assert.equal(conf.eventgate_factory_module, '../lib/factories/default-eventgate');
+    });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+    keyRatio,
+    isSampledIn,
+    makeSamplingStage
+} = require('../../../lib/sampling');
+const { EventStatus } = require('../../../lib/eventgate');
+
+describe('sampling', () => {
+    it('Should map keys deterministically to a ratio between 0 and 1', () => {
+        const ratio = keyRatio('session-1');
+        assert.ok(ratio >= 0 && ratio < 1);
+        assert.equal(keyRatio('session-1'), ratio);
+        assert.notEqual(keyRatio('session-2'), ratio);
+    });
+
+    it('Should always keep events at rate 1 and never at rate 0', () => {
+        assert.ok(isSampledIn(1, 'key'));
+        assert.ok(isSampledIn(1));
+        assert.ok(!isSampledIn(0, 'key'));
+        assert.ok(!isSampledIn(0));
+    });
+
+    it('Should keep roughly rate of all keys', () => {
+        let kept = 0;
+        for (let i = 0; i < 1000; i++) {
+            if (isSampledIn(0.25, `session-${i}`)) {
+                kept++;
+            }
+        }
+        assert.ok(kept > 200 && kept < 300, `kept ${kept} out of 1000`);
+    });
+
+    it('Should keep or sample out all events with the same key', () => {
+        const stage = makeSamplingStage({
+            getSampling: () => ({ rate: 0.5, keyField: 'session' })
+        });
+        for (let i = 0; i < 20; i++) {
+            const results = [1, 2, 3].map((n) => stage.fn({ session: `session-${i}`, n }));
+            const sampledOut = results.map((r) => r instanceof EventStatus);
+            assert.ok(sampledOut.every((s) => s === sampledOut[0]));
+            if (sampledOut[0]) {
+                assert.equal(results[0].status, 'sampled_out');
+                assert.equal(results[0].context.rate, 0.5);
+            }
+        }
+    });
+
+    it('Should not sample events without sampling settings', () => {
+        const stage = makeSamplingStage({ getSampling: () => undefined });
+        const event = { session: 'a' };
+        assert.equal(stage.fn(event), event);
+    });
+});
@@ -10,10 +10,14 @@ const {
 
 const ValidationError = require('../../lib/error').ValidationError;
 const EventGate = require('../../lib/eventgate').EventGate;
+const RetryPolicy = require('../../lib/RetryPolicy');
 
 // Errors of this type should be produced as error events.
 class MockErrorEventProducableError extends Error {}
 
+// Errors of this type are retried.
+class MockRetryableError extends Error {}
+
 // Errors of this type should NOT be produced as error events.
 class MockErrorEventUnproducableError extends Error {}
 
@@ -34,6 +38,7 @@ function makeMockProduce(options) {
     // upstream EventGate error handling.
     const unproducableErrorEventTopic = '__throw_unproduceable_error__';
     const producableErrorEventTopic = '__throw_produceable_error__';
+    const retryableErrorTopic = '__throw_retryable_error__';
 
     // Use the extracted event stream_name as the topic
     const extractTopic      = makeExtractStream(options);
@@ -47,6 +52,9 @@ function makeMockProduce(options) {
                 'but not produced as an error event'
             );
         }
+        if (topic.includes(retryableErrorTopic)) {
+            throw new MockRetryableError(`Event's topic was ${topic}. This error is retried`);
+        }
         if (topic.includes(producableErrorEventTopic)) {
             throw new MockErrorEventProducableError(
                 `Event's topic was ${topic}. This error should be handled, ` +
@@ -105,6 +113,11 @@ function mockEventGateFactory(options, logger) {
             validate: makeValidate(options, logger),
             produce: makeMockProduce(options),
             eventRepr: (event) => 'TEST EVENT',
+            produceRetry: new RetryPolicy({
+                maxAttempts: 2,
+                baseDelayMs: 1,
+                isRetryable: (err) => err instanceof MockRetryableError
+            }),
             log: logger,
             mapToEventError: makeMapToErrorEvent(options)
         })
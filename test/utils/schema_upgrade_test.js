@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Test schema upgrade that moves test into the new test_map field.
+ *
+ * @param {Object} event
+ * @param {Object} context
+ * @return {Object}
+ */
+function upgrade(event, context = {}) {
+    event.test_map = { test: event.test };
+    delete event.test;
+    return event;
+}
+
+module.exports = {
+    upgrade
+};